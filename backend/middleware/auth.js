@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { database } = require('../utils/database');
+const { deviceUtils } = require('../utils/devices');
+
+const ROLES = ['admin', 'teacher', 'kitchen', 'kiosk'];
+
+// Placeholder written by scripts/setup.js; never acceptable outside development
+const PLACEHOLDER_SECRET = 'your-super-secret-jwt-key-change-in-production';
+
+let jwtSecret = null;
+
+/**
+ * Resolve the JWT signing secret from JWT_SECRET
+ * Outside production a missing secret falls back to a random one per process,
+ * which means tokens stop working after a restart
+ * @returns {string} - Signing secret
+ */
+function getJwtSecret() {
+    if (jwtSecret) return jwtSecret;
+
+    const configured = process.env.JWT_SECRET;
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    if (!configured || (isProduction && configured === PLACEHOLDER_SECRET)) {
+        if (isProduction) {
+            throw new Error('JWT_SECRET must be set to a unique value in production');
+        }
+        console.warn('⚠️  JWT_SECRET is not set. Using a temporary secret; sessions end when the server restarts.');
+        jwtSecret = crypto.randomBytes(48).toString('hex');
+    } else {
+        jwtSecret = configured;
+    }
+
+    return jwtSecret;
+}
+
+/**
+ * Issue a signed session token for a user account
+ * @param {Object} user - User record from db.users
+ * @returns {Object} - { token, expiresIn }
+ */
+function issueToken(user) {
+    const expiresIn = user.role === 'kiosk'
+        ? (process.env.KIOSK_JWT_EXPIRES_IN || '7d')
+        : (process.env.JWT_EXPIRES_IN || '12h');
+
+    const token = jwt.sign(
+        { sub: user.id, username: user.username, role: user.role, ver: user.tokenVersion || 0 },
+        getJwtSecret(),
+        { expiresIn }
+    );
+
+    return { token, expiresIn };
+}
+
+/**
+ * Issue the token of an enrolled kiosk device
+ * Device tokens do not expire; an admin revokes one by issuing a new token or deactivating the device
+ * @param {Object} device - Device record from db.devices
+ * @returns {string} - Signed token
+ */
+function issueDeviceToken(device) {
+    return jwt.sign(
+        { sub: device.id, type: 'device', ver: device.tokenVersion || 0 },
+        getJwtSecret()
+    );
+}
+
+// Resolve a device token: the device acts as a kiosk limited to its own modes
+async function authenticateDevice(req, res, next, payload) {
+    const db = await database.read();
+    const device = (db.devices || []).find(d => d.id === payload.sub);
+
+    if (!device || device.status !== 'active' || (device.tokenVersion || 0) !== payload.ver) {
+        return res.status(401).json({ success: false, message: 'This device is no longer enrolled, ask an admin for a new device token' });
+    }
+
+    // Last seen, for the admin device list (at most once a minute per device)
+    const now = new Date();
+    if (deviceUtils.isSeenDue(device, now)) {
+        await database.update(current => {
+            const record = current.devices.find(d => d.id === device.id);
+            if (record) {
+                record.lastSeenAt = now.toISOString();
+                record.lastSeenIp = req.ip;
+            }
+        });
+    }
+
+    req.user = { id: device.id, username: device.id, role: 'kiosk', name: device.name };
+    req.device = { id: device.id, name: device.name, location: device.location, modes: device.modes };
+    next();
+}
+
+// Middleware: require a valid "Authorization: Bearer <token>" header
+async function authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, getJwtSecret());
+    } catch (error) {
+        const message = error.name === 'TokenExpiredError' ? 'Session expired, please log in again' : 'Invalid session token';
+        return res.status(401).json({ success: false, message });
+    }
+
+    try {
+        if (payload.type === 'device') {
+            return await authenticateDevice(req, res, next, payload);
+        }
+
+        // Re-check the account so deactivation or a password change ends existing sessions
+        const db = await database.read();
+        const user = (db.users || []).find(u => u.id === payload.sub);
+
+        if (!user || user.status !== 'active' || (user.tokenVersion || 0) !== payload.ver) {
+            return res.status(401).json({ success: false, message: 'Session is no longer valid, please log in again' });
+        }
+
+        req.user = { id: user.id, username: user.username, role: user.role, name: user.name };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Middleware factory: allow only the given roles (admins are always allowed)
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+        if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+        }
+        next();
+    };
+}
+
+/**
+ * Middleware factory: allow kiosk devices only in the modes an admin enrolled them for
+ * (attendance, meal, registration). Kiosk accounts that are not enrolled devices may scan
+ * attendance and meals; other roles are left to requireRole.
+ * @param {...string} modes - Modes the route serves; any one of them is enough
+ * @returns {Function} - Express middleware
+ */
+function requireMode(...modes) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+        const allowed = deviceUtils.getModes(req.user, req.device);
+        if (!modes.some(mode => allowed.includes(mode))) {
+            return res.status(403).json({ success: false, message: `This device is not enabled for ${modes.join(' or ')}` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    getJwtSecret,
+    issueToken,
+    issueDeviceToken,
+    authenticate,
+    requireRole,
+    requireMode
+};
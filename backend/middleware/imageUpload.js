@@ -0,0 +1,97 @@
+const multer = require('multer');
+const { faceRecognitionUtils } = require('../utils/faceRecognition');
+
+const UPLOAD_MIME_TYPES = ['image/jpeg', 'image/png'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const DATA_URL_PATTERN = /^data:(image\/[a-z]+);base64,/;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES },
+    fileFilter: (req, file, cb) => {
+        if (!UPLOAD_MIME_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+});
+
+/**
+ * Decode base64 images from a JSON body (data URLs or bare base64)
+ * @param {Array} values - Strings from req.body.images / req.body.image
+ * @returns {Object} - { buffers, errors }
+ */
+function decodeBase64Images(values) {
+    const buffers = [];
+    const errors = [];
+
+    values.forEach((value, index) => {
+        const type = typeof value === 'string' ? value.match(DATA_URL_PATTERN)?.[1] : null;
+        if (typeof value !== 'string' || (type && !UPLOAD_MIME_TYPES.includes(type))) {
+            errors.push(`Image ${index + 1} must be a base64 JPEG or PNG.`);
+            return;
+        }
+
+        const buffer = Buffer.from(value.replace(DATA_URL_PATTERN, ''), 'base64');
+        if (buffer.length === 0) errors.push(`Image ${index + 1} is empty.`);
+        else if (buffer.length > MAX_IMAGE_BYTES) errors.push(`Image ${index + 1} is larger than 10MB.`);
+        else buffers.push(buffer);
+    });
+
+    return { buffers, errors };
+}
+
+/**
+ * Accept JPEG/PNG photos as multipart files (field "images") or base64 strings in a
+ * JSON body ("images" array or a single "image"), and put the buffers on req.images.
+ * Responds 503 while the face models are not loaded.
+ * @param {Object} options - { maxImages }
+ * @returns {Function[]} - Express middleware
+ */
+function acceptImages({ maxImages = 1 } = {}) {
+    const parseMultipart = (req, res, next) => {
+        if (!faceRecognitionUtils.modelsLoaded) {
+            return res.status(503).json({ success: false, message: 'Face recognition models are not loaded on the server.' });
+        }
+
+        upload.array('images', maxImages)(req, res, error => {
+            if (!error) return next();
+
+            const message = error.code === 'LIMIT_FILE_SIZE' ? 'Images must be 10MB or smaller.'
+                : error.code === 'LIMIT_UNEXPECTED_FILE' ? `Upload up to ${maxImages} JPEG or PNG image(s) in the "images" field.`
+                : 'Invalid image upload.';
+            res.status(400).json({ success: false, message });
+        });
+    };
+
+    const collectImages = (req, res, next) => {
+        let buffers = (req.files || []).map(file => file.buffer);
+
+        if (buffers.length === 0 && req.is('application/json')) {
+            const { images, image } = req.body || {};
+            const values = Array.isArray(images) ? images : (image ? [image] : []);
+            const decoded = decodeBase64Images(values);
+            if (decoded.errors.length > 0) {
+                return res.status(400).json({ success: false, message: 'Invalid image', errors: decoded.errors });
+            }
+            buffers = decoded.buffers;
+        }
+
+        if (buffers.length === 0) {
+            return res.status(400).json({ success: false, message: 'At least one JPEG or PNG image is required.' });
+        }
+        if (buffers.length > maxImages) {
+            return res.status(400).json({ success: false, message: `No more than ${maxImages} image(s) are accepted.` });
+        }
+
+        req.images = buffers;
+        next();
+    };
+
+    return [parseMultipart, collectImages];
+}
+
+module.exports = {
+    UPLOAD_MIME_TYPES,
+    acceptImages
+};
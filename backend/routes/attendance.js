@@ -1,166 +1,542 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
+const { database } = require('../utils/database');
+const { requireRole, requireMode } = require('../middleware/auth');
+const { scheduleUtils } = require('../utils/schedule');
+const { attendanceMarkingUtils } = require('../utils/attendanceMarking');
+const { templateAdaptationUtils } = require('../utils/templateAdaptation');
+const { faceRecognitionUtils } = require('../utils/faceRecognition');
+const { acceptImages } = require('../middleware/imageUpload');
+const { scanReplayUtils } = require('../utils/scanReplay');
 const router = express.Router();
 
-const DB_PATH = path.join(__dirname, '..', 'db', 'database.json');
+const LIVENESS_CHALLENGES = ['turn', 'smile'];
 
-async function readDatabase() {
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf-8');
-        return JSON.parse(data);
-    } catch {
-        return { students: [], attendance: [], settings: {}, statistics: {} };
-    }
-}
+// Check the liveness result the scanner sends with a scan (js/liveness.js) and keep only
+// the known fields; returns null if it is malformed
+function parseLiveness(liveness) {
+    if (!liveness || typeof liveness !== 'object' || Array.isArray(liveness)) return null;
 
-async function writeDatabase(data) {
-    try {
-        await fs.writeFile(DB_PATH, JSON.stringify(data, null, 2), 'utf-8');
-        return true;
-    } catch {
-        return false;
-    }
-}
+    const { passed, challenge, checks, blinks, frames, durationMs } = liveness;
+    const isCount = value => Number.isInteger(value) && value >= 0 && value <= 100000;
 
-// Calculate Euclidean distance between two descriptors
-function euclideanDistance(desc1, desc2) {
-    if (!desc1 || !desc2 || desc1.length !== desc2.length) return Infinity;
+    // Group mode only asks for a blink, so it has no challenge
+    if (typeof passed !== 'boolean' || !(challenge === null || LIVENESS_CHALLENGES.includes(challenge))) return null;
+    if (!checks || typeof checks.blink !== 'boolean' || typeof checks.challenge !== 'boolean') return null;
+    if (!isCount(blinks) || !isCount(frames) || !(typeof durationMs === 'number' && durationMs >= 0 && durationMs <= 600000)) return null;
 
-    let sum = 0;
-    for (let i = 0; i < desc1.length; i++) {
-        let diff = desc1[i] - desc2[i];
-        sum += diff * diff;
-    }
-    return Math.sqrt(sum);
+    return { passed, challenge, checks: { blink: checks.blink, challenge: checks.challenge }, blinks, frames, durationMs, source: 'browser' };
 }
 
-// Find best matching student using face descriptor
-function findBestMatch(inputDescriptor, students, threshold = 0.6) {
-    let bestMatch = null;
-    let matchedStudent = null;
+// Match a face descriptor and record the check-in or check-out, then send the response.
+// Staff (not kiosks) resolve an ambiguous match by resending the scan with confirmStudentId.
+// liveness is the scanner's passed liveness result, or null for photo uploads (mark-image).
+// replay comes from scanReplayUtils.parse: a scan already recorded under its idempotency
+// key is not marked again, and offline scans use the time they were made.
+async function recordScan(req, res, faceDescriptor, timestamp, liveness = null, replay = { key: null, offline: false }) {
+    const confirmStudentId = req.user.role !== 'kiosk' ? req.body?.confirmStudentId : null;
 
-    for (const student of students) {
-        if (student.status !== 'active' || !student.faceData || !student.faceData.descriptors) continue;
+    const outcome = await database.update(db => {
+        const recorded = scanReplayUtils.findRecorded(db.attendance, replay.key);
+        if (recorded) {
+            return { recorded };
+        }
 
-        for (const descriptor of student.faceData.descriptors) {
-            const dist = euclideanDistance(inputDescriptor, descriptor);
-            if (dist < threshold && (bestMatch === null || dist < bestMatch.distance)) {
-                bestMatch = {
-                    distance: dist,
-                    confidence: Math.round((1 - dist) * 100)
-                };
-                matchedStudent = student;
+        // The server clock decides the session; scans outside every window are refused
+        const now = replay.offline ? replay.scanTime : new Date();
+        const resolved = attendanceMarkingUtils.resolveSession(db.settings.schedule, now);
+        if (resolved.closed) {
+            return resolved;
+        }
+
+        const match = faceRecognitionUtils.matchStudent(faceDescriptor, db.students, db.settings);
+        let { matchedStudent } = match;
+        let scan = { distance: match.distance, confidence: match.confidence };
+
+        if (match.ambiguous) {
+            const confirmed = faceRecognitionUtils.confirmCandidate(match.ambiguous, confirmStudentId);
+            faceRecognitionUtils.logAmbiguity(db, {
+                context: 'attendance',
+                ambiguous: match.ambiguous,
+                confirmedStudentId: confirmed?.student.studentId || null,
+                performedBy: req.user.username
+            });
+            if (!confirmed) {
+                return { ambiguous: match.ambiguous };
             }
+            matchedStudent = confirmed.student;
+            scan = { distance: confirmed.distance, confidence: confirmed.confidence };
         }
+
+        if (!matchedStudent) {
+            return { matchedStudent: null, scan };
+        }
+
+        const { action, record } = attendanceMarkingUtils.mark(db, {
+            student: matchedStudent,
+            session: resolved.session,
+            checkoutOnly: resolved.checkoutOnly,
+            timestamp,
+            now,
+            distance: scan.distance,
+            confidence: scan.confidence,
+            liveness,
+            idempotencyKey: replay.key,
+            offline: replay.offline,
+            deviceId: req.device?.id || null,
+            markedBy: req.user.username
+        });
+
+        // Confident, unambiguous scans may be kept as recent templates (when enabled)
+        templateAdaptationUtils.consider(db, { student: matchedStudent, descriptor: faceDescriptor, match, context: 'attendance', now });
+
+        return { matchedStudent, scan, session: resolved.session, action, record };
+    });
+
+    if (outcome.closed) {
+        const { next } = outcome;
+        return res.status(403).json({
+            success: false,
+            outsideSession: true,
+            message: next
+                ? `No attendance session is open. ${next.name} starts at ${next.start}.`
+                : 'No attendance session is open right now.',
+            nextSession: next
+        });
     }
-    return { bestMatch, matchedStudent };
-}
 
-// Get current time slot (morning, afternoon, meal)
-function getCurrentTimeSlot() {
-    const now = new Date();
-    const time = now.toTimeString().slice(0, 5);
+    if (outcome.recorded) {
+        const { recorded } = outcome;
+        return res.json({
+            success: true,
+            recognized: true,
+            alreadyMarked: true,
+            duplicate: true,
+            checkedOut: recorded.checkOutIdempotencyKey === replay.key,
+            message: 'This scan was already recorded',
+            studentName: recorded.studentName,
+            studentId: recorded.studentId,
+            studentClass: recorded.studentClass,
+            session: recorded.session,
+            status: recorded.status,
+            timestamp: recorded.checkOutIdempotencyKey === replay.key ? recorded.checkOutTimestamp : recorded.timestamp
+        });
+    }
+
+    if (outcome.ambiguous) {
+        return res.json({
+            success: false,
+            recognized: false,
+            ambiguous: true,
+            message: 'This face closely matches more than one student. A teacher must confirm who it is.',
+            candidates: faceRecognitionUtils.toPublicCandidates(outcome.ambiguous)
+        });
+    }
 
-    const slots = {
-        morning: { start: '08:00', end: '12:00', name: 'Morning Session' },
-        meal: { start: '12:00', end: '13:00', name: 'Mid-Day Meal' },
-        afternoon: { start: '13:00', end: '17:00', name: 'Afternoon Session' }
+    const { matchedStudent, scan, session, action, record } = outcome;
+
+    if (!matchedStudent) {
+        // distance/confidence describe the nearest enrolled face
+        return res.json({ success: false, recognized: false, message: 'Face not recognized', ...scan });
+    }
+
+    const student = {
+        studentName: matchedStudent.name,
+        studentId: matchedStudent.studentId,
+        studentClass: matchedStudent.class,
+        session: session.name,
+        ...scan
     };
 
-    for (const [key, slot] of Object.entries(slots)) {
-        if (time >= slot.start && time <= slot.end) {
-            return { type: key, name: slot.name, active: true };
-        }
+    if (action === 'no-check-in') {
+        return res.status(403).json({
+            success: false,
+            recognized: true,
+            outsideSession: true,
+            message: `${session.name} has ended; only check-outs are accepted now.`,
+            ...student
+        });
+    }
+
+    if (action === 'already-marked' || action === 'already-checked-out') {
+        return res.json({
+            success: true,
+            recognized: true,
+            alreadyMarked: true,
+            checkedOut: action === 'already-checked-out',
+            message: action === 'already-checked-out' ? 'Already checked out' : 'Attendance already marked',
+            ...student,
+            status: record.status,
+            timestamp: record.timestamp
+        });
+    }
+
+    if (action === 'checked-out') {
+        return res.json({
+            success: true,
+            recognized: true,
+            alreadyMarked: false,
+            checkedOut: true,
+            message: record.earlyDeparture ? 'Checked out early' : 'Checked out successfully',
+            ...student,
+            status: record.status,
+            timestamp: record.checkOutTimestamp,
+            minutesAttended: record.minutesAttended,
+            earlyDeparture: record.earlyDeparture
+        });
     }
 
-    return { type: 'none', name: 'No Active Session', active: false };
+    return res.json({
+        success: true,
+        recognized: true,
+        alreadyMarked: false,
+        checkedOut: false,
+        message: record.status === 'late' ? `Attendance marked late (${record.minutesLate} min)` : 'Attendance marked successfully',
+        ...student,
+        status: record.status,
+        minutesLate: record.minutesLate,
+        timestamp: record.timestamp
+    });
 }
 
 // POST /api/attendance/mark
-router.post('/mark', async (req, res) => {
+router.post('/mark', requireRole('kiosk', 'teacher'), requireMode('attendance'), async (req, res) => {
     try {
-        const { faceDescriptor, timestamp, session, sessionType } = req.body;
+        const { faceDescriptor, timestamp } = req.body;
 
         if (!faceDescriptor || !timestamp) {
             return res.status(400).json({ success: false, message: 'Face descriptor and timestamp required' });
         }
-        if (!Array.isArray(faceDescriptor) || faceDescriptor.length !== 128) {
+        if (!faceRecognitionUtils.validateDescriptor(faceDescriptor)) {
             return res.status(400).json({ success: false, message: 'Invalid face descriptor' });
         }
 
-        const db = await readDatabase();
-        const threshold = db.settings?.recognitionThreshold || 0.6;
+        // Camera scans must come with a passed liveness check (js/liveness.js)
+        const liveness = parseLiveness(req.body.liveness);
+        if (!liveness || !liveness.passed) {
+            return res.status(422).json({ success: false, livenessRequired: true, message: 'Scan needs a passed liveness check' });
+        }
 
-        const { bestMatch, matchedStudent } = findBestMatch(faceDescriptor, db.students, threshold);
+        const replay = scanReplayUtils.parse(req.body, { device: req.device });
+        if (replay.error) {
+            return res.status(replay.expired ? 422 : replay.forbidden ? 403 : 400).json({ success: false, replayExpired: Boolean(replay.expired), message: replay.error });
+        }
 
-        if (!matchedStudent) {
-            return res.json({ success: false, recognized: false, message: 'Face not recognized', confidence: 0 });
+        await recordScan(req, res, faceDescriptor, timestamp, liveness, replay);
+    } catch (error) {
+        console.error('Attendance marking error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+});
+
+// Most faces a classroom camera frame may send at once
+const MAX_BATCH_FACES = 30;
+
+// POST /api/attendance/mark-batch - every face in one camera frame (group attendance).
+// Body: { faces: [{ faceDescriptor, trackId, liveness }], timestamp }. Each recognized
+// student is checked in once per session; later sightings never check anyone out.
+// Ambiguous faces are left for a teacher to scan on their own.
+router.post('/mark-batch', requireRole('kiosk', 'teacher'), requireMode('attendance'), async (req, res) => {
+    try {
+        const { faces, timestamp } = req.body || {};
+
+        if (!Array.isArray(faces) || faces.length === 0 || faces.length > MAX_BATCH_FACES || !timestamp) {
+            return res.status(400).json({ success: false, message: `faces (1-${MAX_BATCH_FACES}) and timestamp required` });
+        }
+
+        const errors = [];
+        const scans = faces.map((face, index) => {
+            const liveness = parseLiveness(face?.liveness);
+            if (!faceRecognitionUtils.validateDescriptor(face?.faceDescriptor)) errors.push(`Face ${index + 1}: invalid face descriptor`);
+            else if (!liveness || !liveness.passed) errors.push(`Face ${index + 1}: needs a passed liveness check`);
+            // trackId is the scanner's own label for the face, echoed back
+            const trackId = ['string', 'number'].includes(typeof face?.trackId) ? String(face.trackId).slice(0, 64) : null;
+            return { descriptor: face?.faceDescriptor, liveness, trackId };
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Invalid faces', errors });
+        }
+
+        const outcome = await database.update(db => {
+            const now = new Date();
+            const resolved = attendanceMarkingUtils.resolveSession(db.settings.schedule, now);
+            // Group mode only checks students in; after the bell the session is over for it
+            if (resolved.closed || resolved.checkoutOnly) {
+                return { closed: true, next: resolved.next || null };
+            }
+
+            const matches = faceRecognitionUtils.matchStudents(scans.map(scan => scan.descriptor), db.students, db.settings);
+            const results = matches.map((match, index) => {
+                const { descriptor, liveness, trackId } = scans[index];
+                const scan = { index, trackId, distance: match.distance, confidence: match.confidence };
+
+                if (match.ambiguous) {
+                    faceRecognitionUtils.logAmbiguity(db, {
+                        context: 'attendance-batch',
+                        ambiguous: match.ambiguous,
+                        confirmedStudentId: null,
+                        performedBy: req.user.username
+                    });
+                    return { ...scan, recognized: false, ambiguous: true, candidates: faceRecognitionUtils.toPublicCandidates(match.ambiguous) };
+                }
+
+                if (!match.matchedStudent) {
+                    return { ...scan, recognized: false, sameStudentAs: match.sameStudentAs };
+                }
+
+                const student = match.matchedStudent;
+                const { action, record } = attendanceMarkingUtils.mark(db, {
+                    student,
+                    session: resolved.session,
+                    checkInOnly: true,
+                    timestamp,
+                    now,
+                    distance: match.distance,
+                    confidence: match.confidence,
+                    liveness,
+                    deviceId: req.device?.id || null,
+                    markedBy: req.user.username
+                });
+                templateAdaptationUtils.consider(db, { student, descriptor, match, context: 'attendance', now });
+
+                return {
+                    ...scan,
+                    recognized: true,
+                    studentId: student.studentId,
+                    studentName: student.name,
+                    studentClass: student.class,
+                    alreadyMarked: action !== 'checked-in',
+                    status: record.status,
+                    minutesLate: record.minutesLate,
+                    timestamp: record.timestamp
+                };
+            });
+
+            return { session: resolved.session, results };
+        });
+
+        if (outcome.closed) {
+            const { next } = outcome;
+            return res.status(403).json({
+                success: false,
+                outsideSession: true,
+                message: next
+                    ? `No attendance session is open. ${next.name} starts at ${next.start}.`
+                    : 'No attendance session is open right now.',
+                nextSession: next
+            });
         }
 
-        const attendanceDate = timestamp.slice(0, 10);
-        const slot = getCurrentTimeSlot();
-        const sessionName = session || slot.name;
+        const { session, results } = outcome;
+        const marked = results.filter(result => result.recognized && !result.alreadyMarked).length;
 
-        // Check existing attendance for this student on this date and session
-        const existing = db.attendance.find(a =>
-            a.studentId === matchedStudent.studentId &&
-            a.date === attendanceDate &&
-            a.session === sessionName
-        );
+        res.json({
+            success: true,
+            message: `${marked} student${marked === 1 ? '' : 's'} marked`,
+            session: session.name,
+            sessionId: session.id,
+            date: session.date,
+            marked,
+            results
+        });
+    } catch (error) {
+        console.error('Batch attendance error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+});
+
+// POST /api/attendance/mark-image - same as /mark, from a JPEG/PNG photo
+// (multipart "images" or base64 "image"); the descriptor is computed on the server.
+// A photo has no liveness check, so kiosks may not use it: staff only
+router.post('/mark-image', requireRole('teacher'), acceptImages({ maxImages: 1 }), async (req, res) => {
+    try {
+        const result = await faceRecognitionUtils.descriptorFromImage(req.images[0]);
+
+        if (!result.success) {
+            return res.status(result.noFace ? 422 : 400).json({
+                success: false,
+                recognized: false,
+                message: result.noFace ? 'No face detected in the image' : 'Invalid image',
+                errors: result.errors
+            });
+        }
+
+        // A photo upload has no liveness check to send (staff only, see above)
+        await recordScan(req, res, result.descriptor, req.body?.timestamp || new Date().toISOString(), null);
+    } catch (error) {
+        console.error('Image attendance error:', error);
+        res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+});
+
+// Validate a YYYY-MM-DD query parameter
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Older meal pages identified students through /mark, leaving "Mid-Day Meal" attendance
+// records behind; they are not real attendance and are left out of stats and listings
+function isAttendanceRecord(record) {
+    return record.sessionType !== 'meal';
+}
+
+// Summarise present/late/excused/absent counts for one day's records against the active roster
+// (late students count as present; finalized absences are records with status 'absent')
+function summariseDay(records, totalStudents) {
+    const presentIds = new Set(records.filter(a => a.status === 'present' || a.status === 'late').map(a => a.studentId));
+    const lateIds = new Set(records.filter(a => a.status === 'late').map(a => a.studentId));
+    const excusedIds = new Set(records.filter(a => a.status === 'excused' && !presentIds.has(a.studentId)).map(a => a.studentId));
+    const earlyIds = new Set(records.filter(a => a.earlyDeparture).map(a => a.studentId));
+    const presentCount = presentIds.size;
+
+    return {
+        presentCount,
+        lateCount: lateIds.size,
+        excusedCount: excusedIds.size,
+        earlyDepartureCount: earlyIds.size,
+        absentCount: Math.max(0, totalStudents - presentCount - excusedIds.size),
+        attendanceRate: totalStudents > 0 ? Math.round((presentCount / totalStudents) * 100) : 0,
+        recordCount: records.length
+    };
+}
+
+// GET /api/attendance/stats
+router.get('/stats', requireRole('teacher'), async (req, res) => {
+    try {
+        const { date, from, to, class: studentClass } = req.query;
+
+        for (const [name, value] of Object.entries({ date, from, to })) {
+            if (value !== undefined && !isValidDate(value)) {
+                return res.status(400).json({ success: false, message: `Invalid ${name}, expected YYYY-MM-DD` });
+            }
+        }
+        if ((from && !to) || (!from && to)) {
+            return res.status(400).json({ success: false, message: 'Both from and to are required for a date range' });
+        }
+        if (from && from > to) {
+            return res.status(400).json({ success: false, message: 'from must not be after to' });
+        }
+
+        const db = await database.read();
+        const matchesClass = s => !studentClass || String(s.class) === String(studentClass);
+
+        const activeStudents = db.students.filter(s => s.status === 'active' && matchesClass(s));
+        const totalStudents = activeStudents.length;
+        const activeIds = new Set(activeStudents.map(s => s.studentId));
+        const records = db.attendance.filter(a => isAttendanceRecord(a) && activeIds.has(a.studentId));
+
+        if (from) {
+            const inRange = records.filter(a => a.date >= from && a.date <= to);
+            const byDate = {};
+            for (const record of inRange) {
+                (byDate[record.date] = byDate[record.date] || []).push(record);
+            }
+
+            const daily = Object.keys(byDate).sort().map(day => ({
+                date: day,
+                ...summariseDay(byDate[day], totalStudents)
+            }));
+            const averageRate = daily.length > 0
+                ? Math.round(daily.reduce((sum, d) => sum + d.attendanceRate, 0) / daily.length)
+                : 0;
 
-        if (existing) {
             return res.json({
                 success: true,
-                recognized: true,
-                alreadyMarked: true,
-                message: 'Attendance already marked',
-                studentName: matchedStudent.name,
-                studentId: matchedStudent.studentId,
-                session: sessionName,
-                timestamp: existing.timestamp
+                from,
+                to,
+                class: studentClass || null,
+                totalStudents,
+                daysWithAttendance: daily.length,
+                averageAttendanceRate: averageRate,
+                daily
             });
         }
 
-        // Create new attendance record
-        const record = {
-            id: `att_${Date.now()}`,
-            studentId: matchedStudent.studentId,
-            studentName: matchedStudent.name,
-            studentClass: matchedStudent.class,
-            timestamp,
-            date: attendanceDate,
-            session: sessionName,
-            sessionType: sessionType || slot.type,
-            status: 'present',
-            confidence: bestMatch.confidence,
-            createdAt: new Date().toISOString()
-        };
-
-        db.attendance.push(record);
+        const targetDate = date || scheduleUtils.toLocalDate(new Date());
+        const dayRecords = records.filter(a => a.date === targetDate);
 
-        db.statistics = db.statistics || {};
-        db.statistics.totalAttendance = (db.statistics.totalAttendance || 0) + 1;
+        // Per-session breakdown, keyed by the session name stored on each record
+        const bySession = {};
+        for (const record of dayRecords) {
+            const key = record.session || 'Unknown Session';
+            if (!bySession[key]) {
+                bySession[key] = { session: key, sessionType: record.sessionType || null, records: [] };
+            }
+            bySession[key].records.push(record);
+        }
 
-        await writeDatabase(db);
+        const sessions = Object.values(bySession).map(({ session, sessionType, records: sessionRecords }) => ({
+            session,
+            sessionType,
+            ...summariseDay(sessionRecords, totalStudents)
+        }));
 
-        return res.json({
+        res.json({
             success: true,
-            recognized: true,
-            alreadyMarked: false,
-            message: 'Attendance marked successfully',
-            studentName: record.studentName,
-            studentId: record.studentId,
-            session: record.session,
-            timestamp: record.timestamp,
-            confidence: record.confidence
+            date: targetDate,
+            class: studentClass || null,
+            totalStudents,
+            ...summariseDay(dayRecords, totalStudents),
+            sessions,
+            // Counted from the records: the stored counter includes old meal verifications
+            totalAttendanceAllTime: db.attendance.filter(a => isAttendanceRecord(a) && (a.status === 'present' || a.status === 'late')).length
         });
     } catch (error) {
-        console.error('Attendance marking error:', error);
-        res.status(500).json({ success: false, message: 'Internal server error' });
+        console.error('Attendance stats error:', error);
+        res.status(500).json({ success: false, message: 'Server error while fetching attendance statistics' });
     }
 });
 
-// Additional routes like stats, recent records etc can be implemented similarly.
+// GET /api/attendance/recent
+router.get('/recent', requireRole('teacher'), async (req, res) => {
+    try {
+        const { date, session, studentId } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        if (date !== undefined && !isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'Invalid date, expected YYYY-MM-DD' });
+        }
+
+        const db = await database.read();
+
+        const filtered = db.attendance
+            .filter(isAttendanceRecord)
+            .filter(a => !date || a.date === date)
+            .filter(a => !session || a.session === session)
+            .filter(a => !studentId || a.studentId === studentId)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        const records = filtered
+            .slice(offset, offset + limit)
+            .map(a => ({
+                id: a.id,
+                studentName: a.studentName,
+                studentId: a.studentId,
+                studentClass: a.studentClass,
+                timestamp: a.timestamp,
+                date: a.date,
+                session: a.session,
+                sessionType: a.sessionType,
+                status: a.status,
+                minutesLate: a.minutesLate || 0,
+                checkOutTimestamp: a.checkOutTimestamp || null,
+                minutesAttended: a.minutesAttended ?? null,
+                earlyDeparture: Boolean(a.earlyDeparture)
+            }));
+
+        res.json({
+            success: true,
+            records,
+            count: records.length,
+            total: filtered.length,
+            limit,
+            offset,
+            hasMore: offset + records.length < filtered.length
+        });
+    } catch (error) {
+        console.error('Recent attendance error:', error);
+        res.status(500).json({ success: false, message: 'Server error while fetching recent attendance' });
+    }
+});
 
 module.exports = router;
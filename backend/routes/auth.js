@@ -0,0 +1,227 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { database } = require('../utils/database');
+const { ROLES, issueToken, authenticate, requireRole } = require('../middleware/auth');
+const router = express.Router();
+
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Failed login attempts per username+IP, kept in memory
+const failedLogins = new Map();
+
+function getBcryptRounds() {
+    const rounds = parseInt(process.env.BCRYPT_ROUNDS, 10);
+    return Number.isInteger(rounds) && rounds >= 4 && rounds <= 15 ? rounds : 12;
+}
+
+// Strip the password hash before sending a user to the client
+function toPublicUser(user) {
+    const { passwordHash, tokenVersion, ...profile } = user;
+    return profile;
+}
+
+// Validation for new accounts and account updates
+function validateUserData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || 'username' in data) {
+        if (typeof data.username !== 'string' || !/^[A-Za-z0-9._-]{3,32}$/.test(data.username.trim())) {
+            errors.push('Username must be 3-32 characters (letters, numbers, . _ -).');
+        }
+    }
+    if (!partial || 'password' in data) {
+        if (typeof data.password !== 'string' || data.password.length < 8) {
+            errors.push('Password must be at least 8 characters.');
+        }
+    }
+    if (!partial || 'role' in data) {
+        if (!ROLES.includes(data.role)) {
+            errors.push(`Role must be one of: ${ROLES.join(', ')}.`);
+        }
+    }
+    if ('name' in data && (typeof data.name !== 'string' || data.name.trim().length < 2)) {
+        errors.push('Name must be at least 2 characters.');
+    }
+
+    return errors;
+}
+
+/**
+ * Create a user account (used by the admin API and scripts/create-user.js)
+ * @param {Object} data - { username, password, role, name }
+ * @returns {Promise<Object|null>} - The new user, or null if the username is taken
+ */
+async function createUser(data) {
+    const passwordHash = await bcrypt.hash(data.password, getBcryptRounds());
+    const username = data.username.trim();
+
+    return database.update(db => {
+        db.users = db.users || [];
+        if (db.users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            id: `usr_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            username,
+            name: (data.name || username).trim(),
+            role: data.role,
+            passwordHash,
+            tokenVersion: 0,
+            status: 'active',
+            createdAt: now,
+            updatedAt: now,
+            lastLoginAt: null
+        };
+
+        db.users.push(user);
+        return user;
+    });
+}
+
+// POST /api/auth/login
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            return res.status(400).json({ success: false, message: 'Username and password are required.' });
+        }
+
+        const attemptKey = `${username.toLowerCase()}|${req.ip}`;
+        const attempts = failedLogins.get(attemptKey);
+        if (attempts && attempts.count >= MAX_FAILED_LOGINS && Date.now() - attempts.last < LOCKOUT_MINUTES * 60000) {
+            return res.status(429).json({ success: false, message: `Too many failed attempts. Try again in ${LOCKOUT_MINUTES} minutes.` });
+        }
+
+        const db = await database.read();
+        const user = (db.users || []).find(u => u.username.toLowerCase() === username.toLowerCase() && u.status === 'active');
+        const valid = user ? await bcrypt.compare(password, user.passwordHash) : false;
+
+        if (!valid) {
+            const count = attempts && Date.now() - attempts.last < LOCKOUT_MINUTES * 60000 ? attempts.count + 1 : 1;
+            failedLogins.set(attemptKey, { count, last: Date.now() });
+            return res.status(401).json({ success: false, message: 'Invalid username or password.' });
+        }
+
+        failedLogins.delete(attemptKey);
+
+        await database.update(current => {
+            const account = current.users.find(u => u.id === user.id);
+            if (account) account.lastLoginAt = new Date().toISOString();
+        });
+
+        const { token, expiresIn } = issueToken(user);
+
+        console.log(`Login: ${user.username} (${user.role})`);
+
+        res.json({ success: true, token, expiresIn, user: toPublicUser(user) });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, message: 'Server error during login.' });
+    }
+});
+
+// GET /api/auth/me - the signed-in user, or the kiosk device a device token belongs to
+router.get('/me', authenticate, (req, res) => {
+    res.json({ success: true, user: req.user, ...(req.device ? { device: req.device } : {}) });
+});
+
+// GET /api/auth/users
+router.get('/users', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const db = await database.read();
+        const users = (db.users || []).map(toPublicUser);
+        res.json({ success: true, users, count: users.length });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({ success: false, message: 'Server error listing users.' });
+    }
+});
+
+// POST /api/auth/users
+router.post('/users', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const data = req.body || {};
+        const validationErrors = validateUserData(data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed', errors: validationErrors });
+        }
+
+        const user = await createUser(data);
+        if (!user) {
+            return res.status(409).json({ success: false, message: 'Username already exists.' });
+        }
+
+        console.log(`Created user: ${user.username} (${user.role}) by ${req.user.username}`);
+
+        res.status(201).json({ success: true, message: 'User created', user: toPublicUser(user) });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ success: false, message: 'Server error creating user.' });
+    }
+});
+
+// PATCH /api/auth/users/:username - change name, role, password or status
+router.patch('/users/:username', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const updates = req.body || {};
+        const allowed = ['name', 'role', 'password', 'status'];
+        const errors = validateUserData(updates, { partial: true });
+
+        const unknown = Object.keys(updates).filter(key => !allowed.includes(key));
+        if (unknown.length > 0) errors.push(`Fields cannot be updated: ${unknown.join(', ')}.`);
+        if ('status' in updates && !['active', 'inactive'].includes(updates.status)) errors.push('Status must be active or inactive.');
+
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed', errors });
+        }
+
+        const passwordHash = updates.password ? await bcrypt.hash(updates.password, getBcryptRounds()) : null;
+
+        const outcome = await database.update(db => {
+            const user = (db.users || []).find(u => u.username.toLowerCase() === req.params.username.toLowerCase());
+            if (!user) {
+                return { user: null };
+            }
+
+            // Never lock the last active admin out of the system
+            const demotesAdmin = user.role === 'admin' && ((updates.role && updates.role !== 'admin') || updates.status === 'inactive');
+            const activeAdmins = db.users.filter(u => u.role === 'admin' && u.status === 'active').length;
+            if (demotesAdmin && user.status === 'active' && activeAdmins <= 1) {
+                return { user, lastAdmin: true };
+            }
+
+            if (updates.name) user.name = updates.name.trim();
+            if (updates.role) user.role = updates.role;
+            if (updates.status) user.status = updates.status;
+            if (passwordHash) user.passwordHash = passwordHash;
+
+            // Role, password or status changes end the user's existing sessions
+            if (updates.role || updates.status || passwordHash) {
+                user.tokenVersion = (user.tokenVersion || 0) + 1;
+            }
+            user.updatedAt = new Date().toISOString();
+
+            return { user };
+        });
+
+        if (!outcome.user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        if (outcome.lastAdmin) {
+            return res.status(409).json({ success: false, message: 'Cannot demote or deactivate the last active admin.' });
+        }
+
+        res.json({ success: true, message: 'User updated', user: toPublicUser(outcome.user) });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ success: false, message: 'Server error updating user.' });
+    }
+});
+
+module.exports = router;
+module.exports.createUser = createUser;
+module.exports.validateUserData = validateUserData;
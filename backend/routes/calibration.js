@@ -0,0 +1,156 @@
+const express = require('express');
+const { database } = require('../utils/database');
+const { requireRole } = require('../middleware/auth');
+const { calibrationUtils, DEFAULT_CURVE } = require('../utils/calibration');
+const { faceRecognitionUtils } = require('../utils/faceRecognition');
+const router = express.Router();
+
+// Confidence at a few typical distances, so admins can see what the curve means
+function describeCurve(settings) {
+    return [0.3, 0.4, 0.5, 0.6, 0.7].map(distance => ({
+        distance,
+        confidence: faceRecognitionUtils.toConfidence(distance, settings)
+    }));
+}
+
+// GET /api/calibration - current threshold and confidence curve
+router.get('/', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await database.read();
+
+        res.json({
+            success: true,
+            threshold: faceRecognitionUtils.getThreshold(db.settings),
+            curve: db.settings.confidenceCalibration || DEFAULT_CURVE,
+            examples: describeCurve(db.settings)
+        });
+    } catch (error) {
+        console.error('Error fetching calibration:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching calibration.' });
+    }
+});
+
+// POST /api/calibration/confidence - fit the confidence curve to the enrolled descriptors
+router.post('/confidence', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await database.read();
+        const distances = calibrationUtils.collectDistances(db.students);
+        const fit = calibrationUtils.fitCurve(distances);
+
+        if (!fit.success) {
+            return res.status(422).json({ success: false, message: fit.message });
+        }
+
+        const curve = {
+            ...fit.curve,
+            students: distances.students,
+            impostorSampled: distances.impostorSampled,
+            fittedAt: new Date().toISOString(),
+            fittedBy: req.user.username
+        };
+
+        const settings = await database.update(current => {
+            current.logs.system.push({
+                id: `sys_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                action: 'calibration.confidence',
+                changes: { from: current.settings.confidenceCalibration || null, to: curve },
+                performedBy: req.user.username,
+                timestamp: curve.fittedAt,
+                ip: req.ip || req.connection.remoteAddress
+            });
+            current.settings.confidenceCalibration = curve;
+            return current.settings;
+        });
+
+        console.log(`📈 Confidence curve fitted by ${req.user.username}: slope ${curve.slope}, midpoint ${curve.midpoint}`);
+
+        res.json({
+            success: true,
+            message: `Confidence curve fitted from ${curve.genuinePairs} genuine and ${curve.impostorPairs} impostor pairs`,
+            curve,
+            examples: describeCurve(settings)
+        });
+    } catch (error) {
+        console.error('Error fitting confidence curve:', error);
+        res.status(500).json({ success: false, message: 'Server error fitting confidence curve.' });
+    }
+});
+
+// Parse an optional target FAR (query string or JSON body); returns NaN if invalid
+function parseTargetFar(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const targetFar = Number(value);
+    return Number.isFinite(targetFar) && targetFar >= 0 && targetFar <= 0.5 ? targetFar : NaN;
+}
+
+// GET /api/calibration/threshold[?targetFar=0.001] - genuine/impostor distance distributions,
+// FAR/FRR at candidate thresholds, the equal-error-rate point and a recommended threshold
+router.get('/threshold', requireRole('admin'), async (req, res) => {
+    try {
+        const targetFar = parseTargetFar(req.query.targetFar);
+        if (Number.isNaN(targetFar)) {
+            return res.status(400).json({ success: false, message: 'targetFar must be a number from 0 to 0.5' });
+        }
+
+        const db = await database.read();
+        const result = calibrationUtils.thresholdReport(calibrationUtils.collectDistances(db.students), {
+            targetFar,
+            currentThreshold: faceRecognitionUtils.getThreshold(db.settings)
+        });
+
+        if (!result.success) {
+            return res.status(422).json({ success: false, message: result.message });
+        }
+
+        res.json({ success: true, report: result.report });
+    } catch (error) {
+        console.error('Error building threshold report:', error);
+        res.status(500).json({ success: false, message: 'Server error building threshold report.' });
+    }
+});
+
+// POST /api/calibration/threshold - compute the report and apply the recommended threshold
+router.post('/threshold', requireRole('admin'), async (req, res) => {
+    try {
+        const targetFar = parseTargetFar(req.body?.targetFar);
+        if (Number.isNaN(targetFar)) {
+            return res.status(400).json({ success: false, message: 'targetFar must be a number from 0 to 0.5' });
+        }
+
+        const outcome = await database.update(db => {
+            const result = calibrationUtils.thresholdReport(calibrationUtils.collectDistances(db.students), {
+                targetFar,
+                currentThreshold: faceRecognitionUtils.getThreshold(db.settings)
+            });
+            if (!result.success) {
+                return result;
+            }
+
+            const change = calibrationUtils.applyThreshold(db, {
+                report: result.report,
+                performedBy: req.user.username,
+                ip: req.ip || req.connection.remoteAddress
+            });
+            return { success: true, report: result.report, change };
+        });
+
+        if (!outcome.success) {
+            return res.status(422).json({ success: false, message: outcome.message });
+        }
+
+        const { report, change } = outcome;
+        console.log(`🎯 Recognition threshold calibrated by ${req.user.username}: ${change.from} -> ${change.to} (${report.recommended.basis})`);
+
+        res.json({
+            success: true,
+            message: `Recognition threshold set to ${change.to} (${report.recommended.basis})`,
+            changes: { recognitionThreshold: change },
+            report
+        });
+    } catch (error) {
+        console.error('Error applying calibrated threshold:', error);
+        res.status(500).json({ success: false, message: 'Server error applying calibrated threshold.' });
+    }
+});
+
+module.exports = router;
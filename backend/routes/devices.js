@@ -0,0 +1,138 @@
+const express = require('express');
+const { database } = require('../utils/database');
+const { requireRole, issueDeviceToken } = require('../middleware/auth');
+const { deviceUtils } = require('../utils/devices');
+const router = express.Router();
+
+// GET /api/devices - enrolled kiosks with last-seen time and scan volume
+router.get('/', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await database.read();
+        const usage = deviceUtils.getUsage(db);
+        const devices = db.devices.map(device => deviceUtils.toPublicDevice(device, usage.get(device.id)));
+
+        res.json({ success: true, devices, count: devices.length });
+    } catch (error) {
+        console.error('Error listing devices:', error);
+        res.status(500).json({ success: false, message: 'Server error listing devices.' });
+    }
+});
+
+// POST /api/devices - enroll a kiosk; the token is only ever returned here and on reissue
+router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+        const data = req.body || {};
+        const validationErrors = deviceUtils.validate(data);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed', errors: validationErrors });
+        }
+
+        const device = await database.update(db => {
+            const now = new Date().toISOString();
+            const record = {
+                id: `dev_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                name: data.name.trim(),
+                location: (data.location || '').trim(),
+                modes: [...new Set(data.modes)],
+                status: 'active',
+                tokenVersion: 0,
+                createdBy: req.user.username,
+                createdAt: now,
+                updatedAt: now,
+                tokenIssuedAt: now,
+                lastSeenAt: null,
+                lastSeenIp: null
+            };
+
+            db.devices.push(record);
+            return record;
+        });
+
+        console.log(`Enrolled device: ${device.name} (${device.modes.join(', ')}) by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Device enrolled',
+            device: deviceUtils.toPublicDevice(device),
+            token: issueDeviceToken(device)
+        });
+    } catch (error) {
+        console.error('Error enrolling device:', error);
+        res.status(500).json({ success: false, message: 'Server error enrolling device.' });
+    }
+});
+
+// PATCH /api/devices/:id - change name, location, modes or status; inactive revokes the token,
+// so a reactivated device needs a new one from POST /:id/token
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const updates = req.body || {};
+        const allowed = ['name', 'location', 'modes', 'status'];
+        const errors = deviceUtils.validate(updates, { partial: true });
+
+        const unknown = Object.keys(updates).filter(key => !allowed.includes(key));
+        if (unknown.length > 0) errors.push(`Fields cannot be updated: ${unknown.join(', ')}.`);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed', errors });
+        }
+
+        const device = await database.update(db => {
+            const record = db.devices.find(d => d.id === req.params.id);
+            if (!record) return null;
+
+            if (updates.name) record.name = updates.name.trim();
+            if ('location' in updates) record.location = updates.location.trim();
+            if (updates.modes) record.modes = [...new Set(updates.modes)];
+            if (updates.status === 'inactive' && record.status !== 'inactive') {
+                record.tokenVersion = (record.tokenVersion || 0) + 1;
+            }
+            if (updates.status) record.status = updates.status;
+            record.updatedAt = new Date().toISOString();
+
+            return record;
+        });
+
+        if (!device) {
+            return res.status(404).json({ success: false, message: 'Device not found.' });
+        }
+
+        res.json({ success: true, message: 'Device updated', device: deviceUtils.toPublicDevice(device) });
+    } catch (error) {
+        console.error('Error updating device:', error);
+        res.status(500).json({ success: false, message: 'Server error updating device.' });
+    }
+});
+
+// POST /api/devices/:id/token - issue a new token; the old one stops working
+router.post('/:id/token', requireRole('admin'), async (req, res) => {
+    try {
+        const device = await database.update(db => {
+            const record = db.devices.find(d => d.id === req.params.id);
+            if (!record) return null;
+
+            record.tokenVersion = (record.tokenVersion || 0) + 1;
+            record.tokenIssuedAt = new Date().toISOString();
+            record.updatedAt = record.tokenIssuedAt;
+            return record;
+        });
+
+        if (!device) {
+            return res.status(404).json({ success: false, message: 'Device not found.' });
+        }
+
+        console.log(`Reissued token for device ${device.name} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'New device token issued',
+            device: deviceUtils.toPublicDevice(device),
+            token: issueDeviceToken(device)
+        });
+    } catch (error) {
+        console.error('Error reissuing device token:', error);
+        res.status(500).json({ success: false, message: 'Server error issuing device token.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { database } = require('../utils/database');
+const { requireRole, requireMode } = require('../middleware/auth');
+const { faceRecognitionUtils } = require('../utils/faceRecognition');
+const router = express.Router();
+
+// POST /api/identify - match a face against enrolled students without recording anything
+router.post('/', requireRole('kiosk', 'teacher', 'kitchen'), requireMode('attendance', 'meal'), async (req, res) => {
+    try {
+        const { faceDescriptor } = req.body || {};
+
+        if (!faceRecognitionUtils.validateDescriptor(faceDescriptor)) {
+            return res.status(400).json({ success: false, message: 'A 128-number face descriptor is required' });
+        }
+
+        const db = await database.read();
+        const { matchedStudent, distance, confidence, threshold, ambiguous } = faceRecognitionUtils.matchStudent(faceDescriptor, db.students, db.settings);
+
+        if (ambiguous) {
+            // Nothing is marked, but ambiguous matches are always logged for review
+            await database.update(current => {
+                faceRecognitionUtils.logAmbiguity(current, { context: 'identify', ambiguous, performedBy: req.user.username });
+            });
+            return res.json({
+                success: true,
+                recognized: false,
+                ambiguous: true,
+                message: 'This face closely matches more than one student',
+                candidates: faceRecognitionUtils.toPublicCandidates(ambiguous),
+                threshold
+            });
+        }
+
+        if (!matchedStudent) {
+            // The nearest face is reported so staff can see how far off the scan was
+            return res.json({ success: true, recognized: false, message: 'Face not recognized', distance, confidence, threshold });
+        }
+
+        res.json({
+            success: true,
+            recognized: true,
+            student: {
+                studentId: matchedStudent.studentId,
+                name: matchedStudent.name,
+                class: matchedStudent.class
+            },
+            distance,
+            confidence,
+            threshold
+        });
+    } catch (error) {
+        console.error('Identification error:', error);
+        res.status(500).json({ success: false, message: 'Server error during identification' });
+    }
+});
+
+module.exports = router;
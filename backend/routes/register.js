@@ -1,42 +1,12 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
+const { database } = require('../utils/database');
+const { requireRole, requireMode } = require('../middleware/auth');
+const { acceptImages } = require('../middleware/imageUpload');
+const { faceRecognitionUtils } = require('../utils/faceRecognition');
+const { descriptorIndex } = require('../utils/descriptorIndex');
+const { templateAdaptationUtils } = require('../utils/templateAdaptation');
 const router = express.Router();
 
-// Path to database JSON file
-const DB_PATH = path.join(__dirname, '..', 'db', 'database.json');
-
-// Helper to read the database
-async function readDatabase() {
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf-8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error reading database:', error);
-        return {
-            students: [],
-            attendance: [],
-            settings: {
-                recognitionThreshold: 0.5,
-                schoolName: "Smart Attendance System",
-                academicYear: "2025-2026"
-            },
-            statistics: {}
-        };
-    }
-}
-
-// Helper to write to the database
-async function writeDatabase(data) {
-    try {
-        await fs.writeFile(DB_PATH, JSON.stringify(data, null, 2), 'utf-8');
-        return true;
-    } catch (error) {
-        console.error('Error writing database:', error);
-        return false;
-    }
-}
-
 // Validation function
 function validateStudentData(data) {
     const errors = [];
@@ -46,22 +16,71 @@ function validateStudentData(data) {
     if (!data.class || !["1","2","3","4","5","6","7","8","9","10"].includes(data.class.toString())) errors.push("Class must be between 1 and 10.");
     if (!data.parentName || data.parentName.trim().length < 2) errors.push("Parent/Guardian name must be at least 2 characters.");
     if (!data.faceData || !Array.isArray(data.faceData.descriptors) || data.faceData.descriptors.length === 0) errors.push("Face descriptors are required.");
-    
-    // Validate all descriptors length
-    if (data.faceData?.descriptors) {
-        for (let i = 0; i < data.faceData.descriptors.length; i++) {
-            if (!Array.isArray(data.faceData.descriptors[i]) || data.faceData.descriptors[i].length !== 128) {
-                errors.push(`Descriptor ${i + 1} must be an array of 128 numbers.`);
-                break;
-            }
-        }
+    if (Array.isArray(data.faceData?.descriptors) && data.faceData.descriptors.length > 10) errors.push("At most 10 face descriptors can be registered.");
+    // Each descriptor is checked by the enrollment quality gate, which reports it per image
+    if (data.duplicateOverrideReason !== undefined &&
+        (typeof data.duplicateOverrideReason !== "string" || data.duplicateOverrideReason.trim().length < 5 || data.duplicateOverrideReason.trim().length > 500)) {
+        errors.push("Duplicate override reason must be 5-500 characters.");
     }
 
     return errors;
 }
 
+// Validation for partial updates (only the editable profile fields)
+function validateStudentUpdate(updates) {
+    const errors = [];
+    const allowed = ["name", "class", "parentName"];
+    const unknown = Object.keys(updates).filter(key => !allowed.includes(key));
+
+    if (unknown.length > 0) errors.push(`Fields cannot be updated: ${unknown.join(", ")}.`);
+    if (Object.keys(updates).length === 0) errors.push("No fields to update.");
+    if ("name" in updates && (typeof updates.name !== "string" || updates.name.trim().length < 2)) errors.push("Name must be at least 2 characters.");
+    if ("class" in updates && !["1","2","3","4","5","6","7","8","9","10"].includes(String(updates.class))) errors.push("Class must be between 1 and 10.");
+    if ("parentName" in updates && (typeof updates.parentName !== "string" || updates.parentName.trim().length < 2)) errors.push("Parent/Guardian name must be at least 2 characters.");
+
+    return errors;
+}
+
+// Find a student by ID, preferring the active record over older inactive ones
+function findStudent(db, studentId) {
+    const matches = db.students.filter(s => s.studentId.toLowerCase() === String(studentId).toLowerCase());
+    return matches.find(s => s.status === "active") ||
+        matches.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0] ||
+        null;
+}
+
+// Strip face descriptors from a student before sending it to the client
+function toPublicStudent(student) {
+    const { faceData, metadata, ...profile } = student;
+    return {
+        ...profile,
+        faceData: {
+            imageCount: faceData?.descriptors?.length || 0,
+            adaptiveCount: faceData?.adaptiveDescriptors?.length || 0,
+            confidence: faceData?.confidence || 0,
+            registrationTimestamp: faceData?.registrationTimestamp || null
+        }
+    };
+}
+
+// Append an entry to the registration audit trail
+function recordAudit(db, req, action, student, changes) {
+    db.logs = db.logs || {};
+    db.logs.registrations = db.logs.registrations || [];
+    db.logs.registrations.push({
+        id: `audit_${Date.now()}_${Math.random().toString(36).slice(2,8)}`,
+        action,
+        studentId: student.studentId,
+        studentRecordId: student.id,
+        changes,
+        performedBy: req.user?.username || null,
+        timestamp: new Date().toISOString(),
+        ip: req.ip || req.connection.remoteAddress
+    });
+}
+
 // Route: Check if Student ID exists
-router.post('/check', async (req, res) => {
+router.post('/check', requireRole('admin', 'kiosk'), requireMode('registration'), async (req, res) => {
     try {
         const { studentId } = req.body;
 
@@ -69,7 +88,7 @@ router.post('/check', async (req, res) => {
             return res.status(400).json({ success: false, message: "Student ID is required." });
         }
 
-        const db = await readDatabase();
+        const db = await database.read();
         const exists = db.students.some(s => s.studentId.toLowerCase() === studentId.toLowerCase() && s.status === "active");
         
         res.json({ success: true, exists });
@@ -79,25 +98,37 @@ router.post('/check', async (req, res) => {
     }
 });
 
-// Route: Register Student
-router.post('/', async (req, res) => {
-    try {
-        const data = req.body;
-
-        // Validate input
-        const validationErrors = validateStudentData(data);
-        if (validationErrors.length > 0) {
-            return res.status(400).json({ success: false, message: "Validation failed", errors: validationErrors });
-        }
+// Validate and store a new student, then send the response
+async function registerStudent(req, res, data) {
+    // Validate input
+    const validationErrors = validateStudentData(data);
+    if (validationErrors.length > 0) {
+        return res.status(400).json({ success: false, message: "Validation failed", errors: validationErrors });
+    }
 
-        const db = await readDatabase();
+    // Registration kiosks may enroll students but never override a duplicate match
+    const overrideReason = req.user.role === "admin" ? data.duplicateOverrideReason?.trim() || null : null;
 
+    const outcome = await database.update(db => {
         // Duplicate check
         if (db.students.some(s => s.studentId.toLowerCase() === data.studentId.toLowerCase() && s.status === "active")) {
-            return res.status(409).json({ success: false, message: "Student ID already exists." });
+            return { idTaken: true };
+        }
+
+        // Reject unusable captures before they are compared with anyone
+        const quality = faceRecognitionUtils.checkEnrollment(data.faceData.descriptors, db.settings, data.faceData.imageNumbers);
+        if (!quality.passed) {
+            return { quality };
+        }
+
+        // The same child under a second ID could collect two meals a day, so a face that
+        // matches an enrolled student needs an admin's recorded reason (e.g. twins)
+        const duplicates = faceRecognitionUtils.findDuplicates(data.faceData.descriptors, db.students, db.settings);
+        if (duplicates.length > 0 && !overrideReason) {
+            return { duplicates };
         }
 
-        const newStudent = {
+        const student = {
             id: `stu_${Date.now()}_${Math.random().toString(36).slice(2,8)}`,
             name: data.name.trim(),
             studentId: data.studentId.trim(),
@@ -107,6 +138,7 @@ router.post('/', async (req, res) => {
                 descriptors: data.faceData.descriptors,
                 confidence: data.faceData.confidence || 0,
                 imageCount: data.faceData.descriptors.length,
+                source: data.faceData.source === "server" ? "server" : "browser",
                 registrationTimestamp: new Date().toISOString()
             },
             status: "active",
@@ -115,40 +147,374 @@ router.post('/', async (req, res) => {
             metadata: {
                 ip: req.ip || req.connection.remoteAddress,
                 userAgent: req.get("User-Agent") || "Unknown",
+                deviceId: req.device?.id || null,
                 appVersion: "1.0.0"
             }
         };
 
-        db.students.push(newStudent);
-        db.statistics = db.statistics || {};
+        if (duplicates.length > 0) {
+            student.duplicateOverride = {
+                reason: overrideReason,
+                matches: duplicates.map(d => ({ studentId: d.student.studentId, distance: d.distance })),
+                approvedBy: req.user.username,
+                approvedAt: student.createdAt
+            };
+        }
+
+        db.students.push(student);
+        descriptorIndex.add(student);
+        recordAudit(db, req, "register", student, student.duplicateOverride
+            ? { duplicateOverride: { from: null, to: student.duplicateOverride } }
+            : {});
         db.statistics.totalRegistrations = (db.statistics.totalRegistrations || 0) + 1;
 
-        // Save database
-        const saved = await writeDatabase(db);
-        if (!saved) {
-            return res.status(500).json({ success: false, message: "Failed to save student registration." });
-        }
-        
-        console.log(`Registered new student: ${newStudent.name} (${newStudent.studentId})`);
+        return { student };
+    });
 
-        res.status(201).json({
-            success: true,
-            message: "Student registered successfully",
-            student: {
-                id: newStudent.id,
-                name: newStudent.name,
-                studentId: newStudent.studentId,
-                class: newStudent.class,
-                parentName: newStudent.parentName,
-                registrationTimestamp: newStudent.faceData.registrationTimestamp
-            }
+    if (outcome.idTaken) {
+        return res.status(409).json({ success: false, message: "Student ID already exists." });
+    }
+
+    if (outcome.quality) {
+        const { problems, images } = outcome.quality;
+        return res.status(422).json({
+            success: false,
+            qualityCheckFailed: true,
+            message: "The captured images are not good enough to register. Retake the images marked below.",
+            errors: [
+                ...problems,
+                ...images.filter(image => !image.ok).map(image => `Image ${image.image}: ${image.issues.join(" ")}`)
+            ],
+            imageFeedback: images,
+            ...(data.faceData.rejectedImages?.length ? { rejectedImages: data.faceData.rejectedImages } : {})
         });
+    }
+
+    if (outcome.duplicates) {
+        const names = outcome.duplicates.map(d => `${d.student.name} (${d.student.studentId})`).join(", ");
+        console.log(`Possible duplicate registration of ${data.studentId}: matches ${names}`);
+        return res.status(409).json({
+            success: false,
+            possibleDuplicate: true,
+            message: `This face matches an enrolled student: ${names}. An admin can register anyway by giving a duplicateOverrideReason.`,
+            duplicates: outcome.duplicates.map(({ student, distance, confidence }) => ({
+                studentId: student.studentId,
+                name: student.name,
+                class: student.class,
+                distance,
+                confidence
+            }))
+        });
+    }
+
+    const newStudent = outcome.student;
+
+    console.log(`Registered new student: ${newStudent.name} (${newStudent.studentId})`);
+
+    res.status(201).json({
+        success: true,
+        message: "Student registered successfully",
+        student: {
+            id: newStudent.id,
+            name: newStudent.name,
+            studentId: newStudent.studentId,
+            class: newStudent.class,
+            parentName: newStudent.parentName,
+            registrationTimestamp: newStudent.faceData.registrationTimestamp
+        },
+        ...(newStudent.duplicateOverride ? { duplicateOverride: newStudent.duplicateOverride } : {}),
+        ...(data.faceData.rejectedImages?.length ? { rejectedImages: data.faceData.rejectedImages } : {})
+    });
+}
+
+// Route: Register Student
+router.post('/', requireRole('admin', 'kiosk'), requireMode('registration'), async (req, res) => {
+    try {
+        await registerStudent(req, res, req.body);
     } catch (error) {
         console.error("Registration error:", error);
         res.status(500).json({ success: false, message: "Internal server error.", error: error.message });
     }
 });
 
-// Other routes (get students, update, delete) can be added similarly...
+// Route: Register Student from photos (multipart "images" or base64 "images" in JSON);
+// descriptors are computed on the server instead of trusting the browser's
+router.post('/images', requireRole('admin', 'kiosk'), requireMode('registration'), acceptImages({ maxImages: 10 }), async (req, res) => {
+    try {
+        const descriptors = [];
+        const imageNumbers = [];
+        const imageErrors = [];
+
+        for (let i = 0; i < req.images.length; i++) {
+            const result = await faceRecognitionUtils.descriptorFromImage(req.images[i]);
+            if (result.success) {
+                descriptors.push(result.descriptor);
+                imageNumbers.push(i + 1);
+            } else {
+                imageErrors.push(`Image ${i + 1}: ${result.errors.join(" ")}`);
+            }
+        }
+
+        if (descriptors.length === 0) {
+            return res.status(422).json({ success: false, message: "No usable face found in the uploaded images.", errors: imageErrors });
+        }
+
+        const { images, ...fields } = req.body || {};
+        await registerStudent(req, res, {
+            ...fields,
+            faceData: { descriptors, imageNumbers, confidence: 0, source: "server", rejectedImages: imageErrors }
+        });
+    } catch (error) {
+        console.error("Image registration error:", error);
+        res.status(500).json({ success: false, message: "Internal server error.", error: error.message });
+    }
+});
+
+// Route: List students, filtered by class and status
+router.get('/', requireRole('teacher'), async (req, res) => {
+    try {
+        const { class: studentClass, status = "active", search } = req.query;
+
+        if (!["active", "inactive", "all"].includes(status)) {
+            return res.status(400).json({ success: false, message: "Status must be active, inactive or all." });
+        }
+
+        const db = await database.read();
+        const query = search ? String(search).toLowerCase() : null;
+
+        const students = db.students
+            .filter(s => status === "all" || s.status === status)
+            .filter(s => !studentClass || String(s.class) === String(studentClass))
+            .filter(s => !query || s.name.toLowerCase().includes(query) || s.studentId.toLowerCase().includes(query))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(toPublicStudent);
+
+        res.json({ success: true, students, count: students.length });
+    } catch (error) {
+        console.error("Error listing students:", error);
+        res.status(500).json({ success: false, message: "Server error listing students." });
+    }
+});
+
+// Route: Get a single student with their audit history
+router.get('/:studentId', requireRole('teacher'), async (req, res) => {
+    try {
+        const db = await database.read();
+        const student = findStudent(db, req.params.studentId);
+
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found." });
+        }
+
+        const history = (db.logs?.registrations || [])
+            .filter(entry => entry.studentRecordId === student.id)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        res.json({ success: true, student: toPublicStudent(student), history });
+    } catch (error) {
+        console.error("Error fetching student:", error);
+        res.status(500).json({ success: false, message: "Server error fetching student." });
+    }
+});
+
+// Route: Update name, class or parent details
+router.patch('/:studentId', requireRole('admin'), async (req, res) => {
+    try {
+        const updates = req.body || {};
+        const validationErrors = validateStudentUpdate(updates);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ success: false, message: "Validation failed", errors: validationErrors });
+        }
+
+        const outcome = await database.update(db => {
+            const student = findStudent(db, req.params.studentId);
+            if (!student) {
+                return { student: null };
+            }
+
+            const changes = {};
+            for (const [field, rawValue] of Object.entries(updates)) {
+                const value = field === "class" ? String(rawValue) : rawValue.trim();
+                if (student[field] !== value) {
+                    changes[field] = { from: student[field], to: value };
+                    student[field] = value;
+                }
+            }
+
+            if (Object.keys(changes).length > 0) {
+                student.updatedAt = new Date().toISOString();
+                recordAudit(db, req, "update", student, changes);
+            }
+
+            return { student, changes };
+        });
+
+        const { student, changes } = outcome;
+
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found." });
+        }
+        if (Object.keys(changes).length === 0) {
+            return res.json({ success: true, message: "No changes made.", student: toPublicStudent(student) });
+        }
+
+        console.log(`Updated student: ${student.name} (${student.studentId})`);
+
+        res.json({ success: true, message: "Student updated successfully", student: toPublicStudent(student), changes });
+    } catch (error) {
+        console.error("Error updating student:", error);
+        res.status(500).json({ success: false, message: "Server error updating student." });
+    }
+});
+
+// Route: Deactivate (soft delete) a student
+router.delete('/:studentId', requireRole('admin'), async (req, res) => {
+    try {
+        const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+        const student = await database.update(db => {
+            const found = findStudent(db, req.params.studentId);
+            if (!found || found.status !== "active") {
+                return null;
+            }
+
+            const now = new Date().toISOString();
+
+            recordAudit(db, req, "deactivate", found, {
+                status: { from: found.status, to: "inactive" },
+                ...(reason ? { reason: { from: null, to: reason } } : {})
+            });
+            found.status = "inactive";
+            found.deactivatedAt = now;
+            found.updatedAt = now;
+            descriptorIndex.remove(found);
+
+            return found;
+        });
+
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Active student not found." });
+        }
+
+        console.log(`Deactivated student: ${student.name} (${student.studentId})`);
+
+        res.json({ success: true, message: "Student deactivated", student: toPublicStudent(student) });
+    } catch (error) {
+        console.error("Error deactivating student:", error);
+        res.status(500).json({ success: false, message: "Server error deactivating student." });
+    }
+});
+
+// Route: Restore a deactivated student
+router.post('/:studentId/restore', requireRole('admin'), async (req, res) => {
+    try {
+        const outcome = await database.update(db => {
+            const student = findStudent(db, req.params.studentId);
+            if (!student || student.status === "active") {
+                return { student };
+            }
+
+            recordAudit(db, req, "restore", student, {
+                status: { from: student.status, to: "active" },
+                deactivatedAt: { from: student.deactivatedAt || null, to: null }
+            });
+            student.status = "active";
+            student.deactivatedAt = null;
+            student.updatedAt = new Date().toISOString();
+            descriptorIndex.add(student);
+
+            return { student, restored: true };
+        });
+
+        const { student } = outcome;
+
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found." });
+        }
+        if (!outcome.restored) {
+            return res.status(409).json({ success: false, message: "Student is already active." });
+        }
+
+        console.log(`Restored student: ${student.name} (${student.studentId})`);
+
+        res.json({ success: true, message: "Student restored", student: toPublicStudent(student) });
+    } catch (error) {
+        console.error("Error restoring student:", error);
+        res.status(500).json({ success: false, message: "Server error restoring student." });
+    }
+});
+
+// Route: Recent templates kept by template adaptation (enrollment descriptors are never changed)
+router.get('/:studentId/templates', requireRole('admin'), async (req, res) => {
+    try {
+        const db = await database.read();
+        const student = findStudent(db, req.params.studentId);
+
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found." });
+        }
+
+        res.json({
+            success: true,
+            studentId: student.studentId,
+            name: student.name,
+            enrolledCount: student.faceData?.descriptors?.length || 0,
+            adaptation: templateAdaptationUtils.getOptions(db.settings),
+            templates: templateAdaptationUtils.listTemplates(student)
+        });
+    } catch (error) {
+        console.error("Error fetching templates:", error);
+        res.status(500).json({ success: false, message: "Server error fetching templates." });
+    }
+});
+
+// Route: Roll back recent templates - all of them, or the given one and every later one
+router.delete(['/:studentId/templates', '/:studentId/templates/:templateId'], requireRole('admin'), async (req, res) => {
+    try {
+        const outcome = await database.update(db => {
+            const student = findStudent(db, req.params.studentId);
+            if (!student) {
+                return { student: null };
+            }
+
+            const before = student.faceData?.adaptiveDescriptors?.length || 0;
+            const removed = templateAdaptationUtils.rollback(student, req.params.templateId || null);
+            if (removed === null) {
+                return { student, unknownTemplate: true };
+            }
+
+            if (removed.length > 0) {
+                recordAudit(db, req, "templates.rollback", student, {
+                    adaptiveDescriptors: { from: before, to: before - removed.length },
+                    removedTemplates: { from: removed.map(template => template.id), to: null }
+                });
+                student.updatedAt = new Date().toISOString();
+            }
+
+            return { student, removed };
+        });
+
+        const { student } = outcome;
+
+        if (!student) {
+            return res.status(404).json({ success: false, message: "Student not found." });
+        }
+        if (outcome.unknownTemplate) {
+            return res.status(404).json({ success: false, message: "Template not found." });
+        }
+
+        console.log(`Rolled back ${outcome.removed.length} recent template(s) for ${student.name} (${student.studentId})`);
+
+        res.json({
+            success: true,
+            message: outcome.removed.length > 0 ? `Removed ${outcome.removed.length} recent template(s)` : "No recent templates to remove.",
+            removed: outcome.removed,
+            templates: templateAdaptationUtils.listTemplates(student)
+        });
+    } catch (error) {
+        console.error("Error rolling back templates:", error);
+        res.status(500).json({ success: false, message: "Server error rolling back templates." });
+    }
+});
 
 module.exports = router;
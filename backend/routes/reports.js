@@ -0,0 +1,226 @@
+const express = require('express');
+const { database } = require('../utils/database');
+const { requireRole } = require('../middleware/auth');
+const { scheduleUtils } = require('../utils/schedule');
+const { rollCallUtils } = require('../utils/rollCall');
+const router = express.Router();
+
+const CLASSES = ['1','2','3','4','5','6','7','8','9','10'];
+
+// Validate a YYYY-MM-DD value
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Validate the date/session/class query shared by the roll-call routes
+function parseRollCallQuery(query) {
+    const date = query.date || scheduleUtils.toLocalDate(new Date());
+    const errors = [];
+
+    if (!isValidDate(date)) errors.push('Invalid date, expected YYYY-MM-DD.');
+    if (query.class !== undefined && !CLASSES.includes(String(query.class))) errors.push('Class must be between 1 and 10.');
+
+    return { date, sessionId: query.session || null, studentClass: query.class || null, errors };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Render a roll call as a printable HTML page, one table per class and session
+function renderRollCallHtml(rollCall, schoolName) {
+    const sections = rollCall.sessions.flatMap(session => session.classes.map(c => `
+        <section class="sheet">
+            <h2>Class ${escapeHtml(c.class)} &middot; ${escapeHtml(session.name)} (${session.start}&ndash;${session.end})</h2>
+            <p class="meta">${escapeHtml(rollCall.date)} &middot; ${session.finalized ? 'Finalized' : session.state}
+                &middot; Present ${c.counts.present} &middot; Late ${c.counts.late} &middot; Excused ${c.counts.excused}
+                &middot; Absent ${c.counts.absent}${c.counts.pending ? ` &middot; Not yet marked ${c.counts.pending}` : ''}</p>
+            <table>
+                <thead><tr><th>#</th><th>Student ID</th><th>Name</th><th>Status</th><th>Time</th><th>Note</th></tr></thead>
+                <tbody>
+                    ${c.students.map((s, i) => `
+                    <tr class="${s.status}">
+                        <td>${i + 1}</td>
+                        <td>${escapeHtml(s.studentId)}</td>
+                        <td>${escapeHtml(s.name)}</td>
+                        <td>${escapeHtml(s.status)}</td>
+                        <td>${s.timestamp ? new Date(s.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }) : ''}</td>
+                        <td>${escapeHtml([s.reason, s.lateSync ? 'Synced after roll call' : ''].filter(Boolean).join(' · '))}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </section>`));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Roll Call ${escapeHtml(rollCall.date)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+        h1 { font-size: 20px; margin-bottom: 4px; }
+        h2 { font-size: 16px; margin: 0 0 4px; }
+        .meta { font-size: 12px; color: #555; margin: 0 0 8px; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+        tr.absent td { background: #fdecea; }
+        tr.late td { background: #fff8e1; }
+        tr.excused td { background: #e8f0fe; }
+        .sheet { margin-bottom: 24px; }
+        @media print {
+            body { margin: 0; }
+            .sheet { page-break-after: always; }
+            .sheet:last-child { page-break-after: auto; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(schoolName)} &ndash; Roll Call</h1>
+    ${sections.join('') || '<p>No attendance sessions are scheduled on this date.</p>'}
+</body>
+</html>`;
+}
+
+// GET /api/reports/roll-call?date=&session=&class=&format=html
+router.get('/roll-call', requireRole('teacher'), async (req, res) => {
+    try {
+        const { date, sessionId, studentClass, errors } = parseRollCallQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed', errors });
+        }
+
+        const db = await database.read();
+        const rollCall = rollCallUtils.build(db, { date, sessionId, studentClass });
+
+        if (!rollCall) {
+            return res.status(404).json({ success: false, message: `No session "${sessionId}" is scheduled on ${date}.` });
+        }
+
+        if (req.query.format === 'html') {
+            return res.type('html').send(renderRollCallHtml(rollCall, db.settings.schoolName));
+        }
+
+        res.json({ success: true, ...rollCall });
+    } catch (error) {
+        console.error('Roll call error:', error);
+        res.status(500).json({ success: false, message: 'Server error building roll call.' });
+    }
+});
+
+// POST /api/reports/roll-call/finalize - store absences for a closed session
+router.post('/roll-call/finalize', requireRole('teacher'), async (req, res) => {
+    try {
+        const { date, session: sessionId } = req.body || {};
+
+        if (!isValidDate(date) || !sessionId) {
+            return res.status(400).json({ success: false, message: 'date (YYYY-MM-DD) and session are required.' });
+        }
+
+        const outcome = await database.update(db => {
+            const session = rollCallUtils.getSessions(db, date).find(s => s.id === sessionId);
+            if (!session) {
+                return { session: null };
+            }
+            if (rollCallUtils.getSessionState(date, session) !== 'closed') {
+                return { session, notClosed: true };
+            }
+
+            return { session, ...rollCallUtils.finalizeSession(db, date, session, req.user.username) };
+        });
+
+        if (!outcome.session) {
+            return res.status(404).json({ success: false, message: `No session "${sessionId}" is scheduled on ${date}.` });
+        }
+        if (outcome.notClosed) {
+            return res.status(409).json({ success: false, message: `${outcome.session.name} has not ended yet.` });
+        }
+        if (outcome.alreadyFinalized) {
+            return res.status(409).json({ success: false, message: `${outcome.session.name} on ${date} is already finalized.` });
+        }
+
+        console.log(`Finalized ${outcome.session.name} on ${date}: ${outcome.absentCount} absent (${req.user.username})`);
+
+        res.json({ success: true, message: 'Session finalized', date, session: sessionId, absentCount: outcome.absentCount });
+    } catch (error) {
+        console.error('Finalize error:', error);
+        res.status(500).json({ success: false, message: 'Server error finalizing session.' });
+    }
+});
+
+// POST /api/reports/excuse - excuse a student for one session, or the whole day
+router.post('/excuse', requireRole('teacher'), async (req, res) => {
+    try {
+        const { studentId, date, session: sessionId, reason } = req.body || {};
+        const errors = [];
+
+        if (!studentId) errors.push('Student ID is required.');
+        if (!isValidDate(date)) errors.push('Invalid date, expected YYYY-MM-DD.');
+        if (typeof reason !== 'string' || reason.trim().length < 3) errors.push('A reason of at least 3 characters is required.');
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed', errors });
+        }
+
+        const outcome = await database.update(db => {
+            const student = db.students.find(s => s.studentId.toLowerCase() === String(studentId).toLowerCase() && s.status === 'active');
+            if (!student) {
+                return { student: null };
+            }
+
+            const sessions = rollCallUtils.getSessions(db, date).filter(s => !sessionId || s.id === sessionId);
+            if (sessions.length === 0) {
+                return { student, sessions };
+            }
+
+            const now = new Date().toISOString();
+            const results = sessions.map(session => {
+                const existing = db.attendance.find(a => a.studentId === student.studentId && rollCallUtils.recordMatches(a, date, session));
+
+                if (existing && existing.status !== 'absent' && existing.status !== 'excused') {
+                    return { session: session.id, status: existing.status, excused: false };
+                }
+                if (existing) {
+                    // Turn a finalized absence (or an earlier excuse) into an excuse with the new reason
+                    Object.assign(existing, { status: 'excused', reason: reason.trim(), markedBy: req.user.username, updatedAt: now });
+                } else {
+                    db.attendance.push({
+                        id: `att_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                        studentId: student.studentId,
+                        studentName: student.name,
+                        studentClass: student.class,
+                        timestamp: now,
+                        date,
+                        session: session.name,
+                        sessionId: session.id,
+                        sessionType: 'attendance',
+                        status: 'excused',
+                        reason: reason.trim(),
+                        markedBy: req.user.username,
+                        createdAt: now
+                    });
+                }
+                return { session: session.id, status: 'excused', excused: true };
+            });
+
+            return { student, sessions, results };
+        });
+
+        if (!outcome.student) {
+            return res.status(404).json({ success: false, message: 'Active student not found.' });
+        }
+        if (outcome.sessions.length === 0) {
+            return res.status(404).json({ success: false, message: sessionId ? `No session "${sessionId}" is scheduled on ${date}.` : `No attendance sessions are scheduled on ${date}.` });
+        }
+        if (!outcome.results.some(r => r.excused)) {
+            return res.status(409).json({ success: false, message: `${outcome.student.name} was already marked present.`, results: outcome.results });
+        }
+
+        console.log(`Excused ${outcome.student.name} (${outcome.student.studentId}) on ${date} by ${req.user.username}`);
+
+        res.json({ success: true, message: 'Student excused', studentId: outcome.student.studentId, date, results: outcome.results });
+    } catch (error) {
+        console.error('Excuse error:', error);
+        res.status(500).json({ success: false, message: 'Server error recording excuse.' });
+    }
+});
+
+module.exports = router;
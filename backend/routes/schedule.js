@@ -0,0 +1,75 @@
+const express = require('express');
+const { database } = require('../utils/database');
+const { requireRole } = require('../middleware/auth');
+const { scheduleUtils, DEFAULT_RULES } = require('../utils/schedule');
+const router = express.Router();
+
+// Validate a YYYY-MM-DD query parameter
+function isValidDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// GET /api/schedule - timetable for a day plus the session open right now
+router.get('/', async (req, res) => {
+    try {
+        const { date } = req.query;
+
+        if (date !== undefined && !isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'Invalid date, expected YYYY-MM-DD' });
+        }
+
+        const db = await database.read();
+        const schedule = db.settings.schedule;
+        const now = new Date();
+        const [year, month, day] = (date || '').split('-').map(Number);
+        const target = date ? new Date(year, month - 1, day, 12) : now;
+
+        res.json({
+            success: true,
+            serverTime: now.toISOString(),
+            day: scheduleUtils.getDay(schedule, target),
+            current: scheduleUtils.getCurrentSession(schedule, now),
+            next: scheduleUtils.getNextSession(schedule, now),
+            schedule
+        });
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching schedule.' });
+    }
+});
+
+// PUT /api/schedule - replace the timetables, weekday mapping and date overrides
+router.put('/', requireRole('admin'), async (req, res) => {
+    try {
+        const schedule = {
+            timetables: req.body?.timetables,
+            weekdays: req.body?.weekdays || {},
+            dates: req.body?.dates || {}
+        };
+        for (const key of Object.keys(DEFAULT_RULES)) {
+            if (req.body?.[key] !== undefined) schedule[key] = req.body[key];
+        }
+
+        const validationErrors = scheduleUtils.validate(schedule);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed', errors: validationErrors });
+        }
+
+        await database.update(db => {
+            // Rules left out of the request keep their current values
+            for (const key of Object.keys(DEFAULT_RULES)) {
+                if (schedule[key] === undefined) schedule[key] = scheduleUtils.getRules(db.settings.schedule)[key];
+            }
+            db.settings.schedule = schedule;
+        });
+
+        console.log(`Schedule updated by ${req.user.username}`);
+
+        res.json({ success: true, message: 'Schedule updated', schedule });
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        res.status(500).json({ success: false, message: 'Server error updating schedule.' });
+    }
+});
+
+module.exports = router;
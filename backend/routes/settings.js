@@ -0,0 +1,117 @@
+const express = require('express');
+const { database } = require('../utils/database');
+const { requireRole } = require('../middleware/auth');
+const { scheduleUtils } = require('../utils/schedule');
+const { templateAdaptationUtils } = require('../utils/templateAdaptation');
+const { enrollmentQualityUtils } = require('../utils/enrollmentQuality');
+const router = express.Router();
+
+const EDITABLE_SETTINGS = ['schoolName', 'academicYear', 'recognitionThreshold', 'ambiguityMargin', 'templateAdaptation', 'enrollmentQuality', 'schedule'];
+
+// Validation for partial settings updates
+function validateSettings(updates) {
+    const errors = [];
+    const unknown = Object.keys(updates).filter(key => !EDITABLE_SETTINGS.includes(key));
+
+    if (unknown.length > 0) errors.push(`Settings cannot be changed: ${unknown.join(', ')}.`);
+    if (Object.keys(updates).length === 0) errors.push('No settings to update.');
+
+    if ('schoolName' in updates && (typeof updates.schoolName !== 'string' || updates.schoolName.trim().length < 2 || updates.schoolName.trim().length > 100)) {
+        errors.push('School name must be 2-100 characters.');
+    }
+    if ('academicYear' in updates) {
+        const match = typeof updates.academicYear === 'string' && updates.academicYear.match(/^(\d{4})-(\d{4})$/);
+        if (!match || Number(match[2]) !== Number(match[1]) + 1) errors.push('Academic year must look like 2025-2026.');
+    }
+    if ('recognitionThreshold' in updates) {
+        // Same range FaceRecognitionUtils.setRecognitionThreshold enforces; 0 would match nobody
+        const threshold = updates.recognitionThreshold;
+        if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+            errors.push('Recognition threshold must be a number greater than 0 and at most 1.');
+        }
+    }
+    if ('ambiguityMargin' in updates) {
+        // 0 turns the sibling/twin check off
+        const margin = updates.ambiguityMargin;
+        if (typeof margin !== 'number' || !Number.isFinite(margin) || margin < 0 || margin > 0.3) {
+            errors.push('Ambiguity margin must be a number from 0 to 0.3.');
+        }
+    }
+    if ('templateAdaptation' in updates) {
+        errors.push(...templateAdaptationUtils.validate(updates.templateAdaptation));
+    }
+    if ('enrollmentQuality' in updates) {
+        errors.push(...enrollmentQualityUtils.validate(updates.enrollmentQuality));
+    }
+    if ('schedule' in updates) {
+        errors.push(...scheduleUtils.validate(updates.schedule));
+    }
+
+    return errors;
+}
+
+// GET /api/settings
+router.get('/', async (req, res) => {
+    try {
+        const db = await database.read();
+        const settings = Object.fromEntries(EDITABLE_SETTINGS.map(key => [key, db.settings[key]]));
+
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error('Error fetching settings:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching settings.' });
+    }
+});
+
+// PUT /api/settings - update any of the editable settings; applies to the next request
+router.put('/', requireRole('admin'), async (req, res) => {
+    try {
+        const updates = req.body || {};
+        const validationErrors = validateSettings(updates);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed', errors: validationErrors });
+        }
+
+        const outcome = await database.update(db => {
+            const changes = {};
+            for (const [key, rawValue] of Object.entries(updates)) {
+                let value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+                // Template adaptation and enrollment quality options left out of the request keep their current values
+                if (key === 'templateAdaptation') value = { ...templateAdaptationUtils.getOptions(db.settings), ...rawValue };
+                if (key === 'enrollmentQuality') value = { ...enrollmentQualityUtils.getOptions(db.settings), ...rawValue };
+                if (JSON.stringify(db.settings[key]) !== JSON.stringify(value)) {
+                    changes[key] = { from: db.settings[key], to: value };
+                    db.settings[key] = value;
+                }
+            }
+
+            if (Object.keys(changes).length > 0) {
+                db.logs.system.push({
+                    id: `sys_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                    action: 'settings.update',
+                    changes,
+                    performedBy: req.user.username,
+                    timestamp: new Date().toISOString(),
+                    ip: req.ip || req.connection.remoteAddress
+                });
+            }
+
+            return { settings: db.settings, changes };
+        });
+
+        const settings = Object.fromEntries(EDITABLE_SETTINGS.map(key => [key, outcome.settings[key]]));
+
+        if (Object.keys(outcome.changes).length === 0) {
+            return res.json({ success: true, message: 'No changes made.', settings });
+        }
+
+        console.log(`Settings updated by ${req.user.username}: ${Object.keys(outcome.changes).join(', ')}`);
+
+        res.json({ success: true, message: 'Settings updated', settings, changes: outcome.changes });
+    } catch (error) {
+        console.error('Error updating settings:', error);
+        res.status(500).json({ success: false, message: 'Server error updating settings.' });
+    }
+});
+
+module.exports = router;
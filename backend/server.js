@@ -1,21 +1,76 @@
+const path = require('path');
+const os = require('os');
+
+// Load .env (written by scripts/setup.js) before anything reads process.env
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs').promises;
-const path = require('path');
 const bodyParser = require('body-parser');
 
 // Import route handlers
 const registerRoutes = require('./routes/register');
 const attendanceRoutes = require('./routes/attendance');
+const authRoutes = require('./routes/auth');
+const scheduleRoutes = require('./routes/schedule');
+const settingsRoutes = require('./routes/settings');
+const identifyRoutes = require('./routes/identify');
+const reportsRoutes = require('./routes/reports');
+const calibrationRoutes = require('./routes/calibration');
+const deviceRoutes = require('./routes/devices');
+const { authenticate, requireRole, requireMode, getJwtSecret } = require('./middleware/auth');
+const { database } = require('./utils/database');
+const { scheduleUtils } = require('./utils/schedule');
+const { rollCallUtils } = require('./utils/rollCall');
+const { faceRecognitionUtils } = require('./utils/faceRecognition');
+const { descriptorIndex } = require('./utils/descriptorIndex');
+const { templateAdaptationUtils } = require('./utils/templateAdaptation');
+const { scanReplayUtils } = require('./utils/scanReplay');
+
+// Origins allowed when CORS_ORIGIN is not set (local development)
+const DEFAULT_CORS_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:8080', 'http://localhost:5500'];
+
+/**
+ * Resolve listen and CORS settings from the environment (.env written by scripts/setup.js)
+ * CORS_ORIGIN is a comma-separated list of origins, or * to allow any origin (a trusted LAN only)
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { port, host, corsOrigins } where corsOrigins is an array or true
+ */
+function resolveServerConfig(env = process.env) {
+    const port = env.PORT ? Number(env.PORT) : 3000;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error(`Invalid PORT "${env.PORT}" (expected 1-65535)`);
+    }
+
+    const origins = (env.CORS_ORIGIN || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+
+    return {
+        port,
+        host: env.HOST || '0.0.0.0',
+        corsOrigins: origins.includes('*') ? true : (origins.length > 0 ? origins : DEFAULT_CORS_ORIGINS)
+    };
+}
+
+// Addresses other devices on the network can open the pages at, when listening on all interfaces
+function getLanUrls(host, port) {
+    if (host !== '0.0.0.0' && host !== '::') {
+        return [];
+    }
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => `http://${address.address}:${port}`);
+}
 
 const app = express();
-const PORT = 3000;
+const { port: PORT, host: HOST, corsOrigins: CORS_ORIGINS } = resolveServerConfig();
 
 // Middleware
+// Pages served by this server are same-origin; CORS only matters for pages hosted elsewhere
 app.use(cors({
-    origin: ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:8080', 'http://localhost:5500'],
+    origin: CORS_ORIGINS,
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
@@ -28,128 +83,220 @@ app.use((req, res, next) => {
     next();
 });
 
-// Database paths
-const DB_DIR = path.join(__dirname, 'db');
-const DB_PATH = path.join(DB_DIR, 'database.json');
-
-// Ensure database directory exists
+// Ensure database directory and file exist
 async function initializeDatabase() {
     try {
-        await fs.mkdir(DB_DIR, { recursive: true });
+        const created = await database.initialize();
         console.log('📁 Database directory initialized');
-        
-        // Check if database file exists
-        try {
-            await fs.access(DB_PATH);
-            console.log('📄 Database file exists');
-        } catch {
-            // Create initial database structure
-            const initialData = {
-                students: [],
-                attendance: [],
-                meals: [],
-                settings: {
-                    schoolName: "Smart Attendance System",
-                    academicYear: "2025-2026",
-                    recognitionThreshold: 0.5,
-                    mealTimeStart: "12:00",
-                    mealTimeEnd: "13:00",
-                    morningSessionStart: "08:00",
-                    morningSessionEnd: "12:00",
-                    afternoonSessionStart: "13:00",
-                    afternoonSessionEnd: "17:00"
-                },
-                statistics: {
-                    totalRegistrations: 0,
-                    totalAttendanceMarked: 0,
-                    totalMealsServed: 0,
-                    dailyAttendance: {},
-                    weeklyAttendance: {},
-                    monthlyAttendance: {},
-                    lastUpdated: new Date().toISOString(),
-                    systemStarted: new Date().toISOString()
-                },
-                logs: {
-                    registrations: [],
-                    attendance: [],
-                    meals: [],
-                    system: []
-                }
-            };
-            await fs.writeFile(DB_PATH, JSON.stringify(initialData, null, 2));
-            console.log('✅ Database initialized with default structure');
-        }
+        console.log(created ? '✅ Database initialized with default structure' : '📄 Database file exists');
     } catch (error) {
         console.error('❌ Error initializing database:', error);
         throw error;
     }
 }
 
-// Helper function to read database
-async function readDatabase() {
-    try {
-        const data = await fs.readFile(DB_PATH, 'utf-8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('❌ Error reading database:', error);
-        return {
-            students: [],
-            attendance: [],
-            meals: [],
-            settings: {
-                schoolName: "Smart Attendance System",
-                academicYear: "2025-2026",
-                recognitionThreshold: 0.5
-            },
-            statistics: {
-                totalRegistrations: 0,
-                totalAttendanceMarked: 0,
-                totalMealsServed: 0,
-                lastUpdated: new Date().toISOString()
-            }
-        };
-    }
-}
-
-// Helper function to write database
-async function writeDatabase(data) {
-    try {
-        data.statistics = data.statistics || {};
-        data.statistics.lastUpdated = new Date().toISOString();
-        
-        await fs.writeFile(DB_PATH, JSON.stringify(data, null, 2), 'utf-8');
-        return true;
-    } catch (error) {
-        console.error('❌ Error writing database:', error);
-        return false;
-    }
-}
+// Login is public; everything else under /api except the health check needs a session token
+app.use('/api/auth', authRoutes);
+app.use('/api', (req, res, next) => {
+    if (req.path === '/health') return next();
+    authenticate(req, res, next);
+});
 
 // Use route handlers
 app.use('/api/register', registerRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/identify', identifyRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/calibration', calibrationRoutes);
+app.use('/api/devices', deviceRoutes);
 
 // ===== MEAL SYSTEM API ENDPOINTS ===== 
 
 // Mark meal distribution
-app.post('/api/meal/mark', async (req, res) => {
+app.post('/api/meal/mark', requireRole('kiosk', 'kitchen'), requireMode('meal'), async (req, res) => {
     try {
-        const { studentId, timestamp } = req.body;
+        const { studentId, faceDescriptor, timestamp, confirmStudentId } = req.body;
         
-        console.log(`🍽️ Meal marking request: ${studentId} at ${timestamp}`);
+        console.log(`🍽️ Meal marking request: ${faceDescriptor ? 'face scan' : studentId} at ${timestamp}`);
+        
+        if ((!studentId && !faceDescriptor) || !timestamp) {
+            return res.status(400).json({
+                success: false,
+                message: 'A face descriptor or student ID, and a timestamp, are required'
+            });
+        }
         
-        if (!studentId || !timestamp) {
+        if (faceDescriptor && !faceRecognitionUtils.validateDescriptor(faceDescriptor)) {
             return res.status(400).json({
                 success: false,
-                message: 'Student ID and timestamp are required'
+                message: 'Invalid face descriptor'
+            });
+        }
+        
+        // Kiosks must identify the student by face; typing a student ID is for kitchen staff
+        if (!faceDescriptor && req.user.role === 'kiosk') {
+            return res.status(403).json({
+                success: false,
+                message: 'Kiosk devices must mark meals with a face scan'
+            });
+        }
+        
+        // Replayed scans from an offline kiosk queue (idempotencyKey, offline)
+        const replay = scanReplayUtils.parse(req.body, { device: req.device });
+        if (replay.error) {
+            return res.status(replay.expired ? 422 : replay.forbidden ? 403 : 400).json({
+                success: false,
+                replayExpired: Boolean(replay.expired),
+                message: replay.error
+            });
+        }
+        
+        const outcome = await database.update(db => {
+            // The same scan sent again returns the meal it already recorded
+            const recorded = scanReplayUtils.findRecorded(db.meals, replay.key);
+            if (recorded) {
+                return { recorded };
+            }
+            
+            // Meals can only be marked while a meal session is open on the server clock
+            // (offline scans: when they were made)
+            const now = replay.offline ? replay.scanTime : new Date();
+            const session = scheduleUtils.getCurrentSession(db.settings.schedule, now, 'meal');
+            if (!session) {
+                return { closed: true, next: scheduleUtils.getNextSession(db.settings.schedule, now, 'meal') };
+            }
+            const mealDate = session.date;
+            
+            // Identify the student by face, or look up the given ID
+            let student;
+            let match = null;
+            if (faceDescriptor) {
+                const result = faceRecognitionUtils.matchStudent(faceDescriptor, db.students, db.settings);
+                match = { distance: result.distance, confidence: result.confidence };
+                if (result.ambiguous) {
+                    // Kitchen staff may confirm one of the candidates; kiosks never can
+                    const confirmed = req.user.role !== 'kiosk' ? faceRecognitionUtils.confirmCandidate(result.ambiguous, confirmStudentId) : null;
+                    faceRecognitionUtils.logAmbiguity(db, {
+                        context: 'meal',
+                        ambiguous: result.ambiguous,
+                        confirmedStudentId: confirmed?.student.studentId || null,
+                        performedBy: req.user.username
+                    });
+                    if (!confirmed) {
+                        return { ambiguous: result.ambiguous };
+                    }
+                    result.matchedStudent = confirmed.student;
+                    match = { distance: confirmed.distance, confidence: confirmed.confidence };
+                }
+                if (!result.matchedStudent) {
+                    return { recognized: false, match };
+                }
+                student = result.matchedStudent;
+                templateAdaptationUtils.consider(db, { student, descriptor: faceDescriptor, match: result, context: 'meal', now });
+            } else {
+                student = db.students.find(s => s.studentId === studentId && s.status === 'active');
+            }
+            if (!student) {
+                return { student: null, mealDate };
+            }
+            
+            // Check if meal already marked today
+            const existingMeal = db.meals.find(meal =>
+                meal.studentId === student.studentId && meal.date === mealDate
+            );
+            if (existingMeal) {
+                return { student, match, mealRecord: existingMeal, alreadyMarked: true, mealDate };
+            }
+            
+            // Create meal record
+            const mealRecord = {
+                id: `MEAL_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+                studentId: student.studentId,
+                studentName: student.name,
+                studentClass: student.class,
+                date: mealDate,
+                timestamp: timestamp,
+                session: session.name,
+                sessionId: session.id,
+                status: 'served',
+                method: match ? 'face' : 'manual',
+                ...(match ? { distance: match.distance, confidence: match.confidence } : {}),
+                markedBy: req.user.username,
+                idempotencyKey: replay.key,
+                syncedAt: replay.offline ? new Date().toISOString() : null,
+                deviceId: req.device?.id || null,
+                createdAt: new Date().toISOString(),
+                metadata: {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent') || 'Unknown'
+                }
+            };
+            
+            // Add to meals array and update statistics
+            db.meals.push(mealRecord);
+            db.statistics.totalMealsServed = (db.statistics.totalMealsServed || 0) + 1;
+            
+            return { student, match, mealRecord, alreadyMarked: false, mealDate };
+        });
+        
+        if (outcome.closed) {
+            const { next } = outcome;
+            console.log(`⏰ Meal marking refused outside meal time: ${studentId}`);
+            return res.status(403).json({
+                success: false,
+                outsideSession: true,
+                message: next
+                    ? `Meal time has not started yet. ${next.name} starts at ${next.start}.`
+                    : 'No meal session is open right now.',
+                nextSession: next
+            });
+        }
+        
+        if (outcome.recorded) {
+            const { recorded } = outcome;
+            console.log(`🔁 Meal scan ${replay.key} was already recorded for ${recorded.studentId}`);
+            return res.json({
+                success: true,
+                recognized: true,
+                alreadyMarked: true,
+                duplicate: true,
+                message: 'This scan was already recorded',
+                mealRecord: recorded,
+                student: {
+                    name: recorded.studentName,
+                    studentId: recorded.studentId,
+                    class: recorded.studentClass
+                }
+            });
+        }
+        
+        if (outcome.ambiguous) {
+            console.log('⚠️ Meal scan: face matches more than one student');
+            return res.json({
+                success: false,
+                recognized: false,
+                ambiguous: true,
+                message: 'This face closely matches more than one student. Kitchen staff must confirm who it is.',
+                candidates: faceRecognitionUtils.toPublicCandidates(outcome.ambiguous)
+            });
+        }
+        
+        if (outcome.recognized === false) {
+            console.log('❌ Meal scan: face not recognized');
+            return res.json({
+                success: false,
+                recognized: false,
+                message: 'Face not recognized',
+                distance: outcome.match.distance,
+                confidence: outcome.match.confidence
             });
         }
         
-        const db = await readDatabase();
-        const mealDate = timestamp.split('T')[0];
+        const { student, match, mealRecord, mealDate } = outcome;
+        const matchDetails = match ? { recognized: true, distance: match.distance, confidence: match.confidence } : {};
         
-        // Check if student exists and is active
-        const student = db.students.find(s => s.studentId === studentId && s.status === 'active');
         if (!student) {
             console.log(`❌ Student not found: ${studentId}`);
             return res.status(404).json({
@@ -158,18 +305,14 @@ app.post('/api/meal/mark', async (req, res) => {
             });
         }
         
-        // Check if meal already marked today
-        const existingMeal = db.meals.find(meal =>
-            meal.studentId === studentId && meal.date === mealDate
-        );
-        
-        if (existingMeal) {
+        if (outcome.alreadyMarked) {
             console.log(`⚠️ Meal already marked for ${student.name} on ${mealDate}`);
             return res.json({
                 success: true,
                 alreadyMarked: true,
                 message: `Meal already marked for ${student.name} today`,
-                mealRecord: existingMeal,
+                ...matchDetails,
+                mealRecord: mealRecord,
                 student: {
                     name: student.name,
                     studentId: student.studentId,
@@ -178,47 +321,13 @@ app.post('/api/meal/mark', async (req, res) => {
             });
         }
         
-        // Create meal record
-        const mealRecord = {
-            id: `MEAL_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
-            studentId: studentId,
-            studentName: student.name,
-            studentClass: student.class,
-            date: mealDate,
-            timestamp: timestamp,
-            status: 'served',
-            createdAt: new Date().toISOString(),
-            metadata: {
-                ip: req.ip || req.connection.remoteAddress,
-                userAgent: req.get('User-Agent') || 'Unknown'
-            }
-        };
-        
-        // Add to meals array
-        db.meals.push(mealRecord);
-        
-        // Update statistics
-        if (!db.statistics.totalMealsServed) {
-            db.statistics.totalMealsServed = 0;
-        }
-        db.statistics.totalMealsServed++;
-        
-        // Save to database
-        const saved = await writeDatabase(db);
-        if (!saved) {
-            console.log(`❌ Failed to save meal record for ${student.name}`);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to save meal record'
-            });
-        }
-        
-        console.log(`✅ Meal marked successfully: ${student.name} (${studentId}) - ${mealDate}`);
+        console.log(`✅ Meal marked successfully: ${student.name} (${student.studentId}) - ${mealDate}`);
         
         res.json({
             success: true,
             alreadyMarked: false,
             message: `Nutritious meal served to ${student.name}!`,
+            ...matchDetails,
             mealRecord: mealRecord,
             student: {
                 name: student.name,
@@ -238,12 +347,12 @@ app.post('/api/meal/mark', async (req, res) => {
 });
 
 // Get meal statistics
-app.get('/api/meal/stats', async (req, res) => {
+app.get('/api/meal/stats', requireRole('kitchen', 'teacher'), async (req, res) => {
     try {
         const { date } = req.query;
-        const targetDate = date || new Date().toISOString().split('T')[0];
+        const targetDate = date || scheduleUtils.toLocalDate(new Date());
         
-        const db = await readDatabase();
+        const db = await database.read();
         
         const totalStudents = db.students.filter(s => s.status === 'active').length;
         const mealsServedToday = db.meals.filter(meal => meal.date === targetDate).length;
@@ -269,12 +378,12 @@ app.get('/api/meal/stats', async (req, res) => {
 });
 
 // Get recent meal distribution
-app.get('/api/meal/recent', async (req, res) => {
+app.get('/api/meal/recent', requireRole('kitchen', 'teacher'), async (req, res) => {
     try {
         const { limit = 20 } = req.query;
-        const db = await readDatabase();
+        const db = await database.read();
         
-        const recentMeals = db.meals
+        const recentMeals = [...db.meals]
             .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
             .slice(0, parseInt(limit))
             .map(meal => ({
@@ -305,7 +414,7 @@ app.get('/api/meal/recent', async (req, res) => {
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
     try {
-        const db = await readDatabase();
+        const db = await database.read();
         const dbStats = {
             students: db.students.length,
             attendance: db.attendance.length,
@@ -319,11 +428,21 @@ app.get('/api/health', async (req, res) => {
             message: 'Smart Attendance System API is running smoothly',
             timestamp: new Date().toISOString(),
             version: '1.0.0',
-            database: dbStats,
+            database: { ...dbStats, ...database.getInfo() },
+            // Result of the manifest check made when the models were loaded at startup
+            models: { loaded: faceRecognitionUtils.modelsLoaded, ...faceRecognitionUtils.modelStatus },
+            descriptorIndex: descriptorIndex.getInfo(),
             endpoints: {
+                auth: '/api/auth/*',
                 registration: '/api/register/*',
                 attendance: '/api/attendance/*',
-                meals: '/api/meal/*'
+                meals: '/api/meal/*',
+                identify: '/api/identify',
+                reports: '/api/reports/*',
+                schedule: '/api/schedule',
+                settings: '/api/settings',
+                calibration: '/api/calibration',
+                devices: '/api/devices'
             }
         });
         
@@ -340,8 +459,8 @@ app.get('/api/health', async (req, res) => {
 // 🔑 **CRITICAL: Serve static files from frontend directory**
 app.use(express.static(path.join(__dirname, '..', 'frontend')));
 
-// 🔑 **CRITICAL: Serve models folder specifically for face-api.js**
-app.use('/models', express.static(path.join(__dirname, '..', 'frontend', 'models')));
+// Browser pages load face-api.js weights from /models: the same verified folder the server uses
+app.use('/models', express.static(faceRecognitionUtils.modelPath));
 
 // Fallback route for SPA (Single Page Application)
 app.get('*', (req, res) => {
@@ -359,6 +478,18 @@ app.use((err, req, res, next) => {
     });
 });
 
+// Store absences for attendance sessions that have ended
+async function finalizeClosedSessions() {
+    try {
+        const finalized = await database.update(db => rollCallUtils.sweep(db));
+        finalized.forEach(({ date, sessionId, absentCount }) => {
+            console.log(`📋 Finalized ${sessionId} on ${date}: ${absentCount} absent`);
+        });
+    } catch (error) {
+        console.error('❌ Error finalizing attendance sessions:', error);
+    }
+}
+
 // Initialize database and start server
 async function startServer() {
     try {
@@ -367,20 +498,44 @@ async function startServer() {
         // Initialize database
         await initializeDatabase();
         
+        // Fail fast if the JWT secret is missing in production
+        getJwtSecret();
+        
+        // Verify and load the face models used by the image upload endpoints;
+        // descriptor-based scanning keeps working if they are missing
+        if (!await faceRecognitionUtils.loadModels()) {
+            console.warn('⚠️  Face models not loaded; image upload endpoints will return 503 and browser pages cannot scan.');
+        }
+        
+        // Build the in-memory descriptor index used for 1:N matching
+        const indexStarted = Date.now();
+        descriptorIndex.build((await database.read()).students);
+        const indexInfo = descriptorIndex.getInfo();
+        console.log(`🔎 Descriptor index: ${indexInfo.descriptors} faces of ${indexInfo.students} students (${Date.now() - indexStarted} ms)`);
+        
+        // Finalize closed sessions now and every 5 minutes
+        await finalizeClosedSessions();
+        setInterval(finalizeClosedSessions, 5 * 60 * 1000);
+        
+        const { users } = await database.read();
+        if (!users.some(u => u.role === 'admin' && u.status === 'active')) {
+            console.warn('⚠️  No admin account exists yet. Create one with: node scripts/create-user.js --username admin --role admin');
+        }
+        
         // Start listening
-        app.listen(PORT, () => {
+        app.listen(PORT, HOST, () => {
             console.log('\n🎯 ================================');
             console.log(`🌟 Smart Attendance System Server`);
-            console.log(`🌐 Running on: http://localhost:${PORT}`);
-            console.log(`📊 Database: ${DB_PATH}`);
+            console.log(`🌐 Running on: http://${HOST}:${PORT}`);
+            getLanUrls(HOST, PORT).forEach(url => console.log(`📡 Network: ${url}`));
+            console.log(`🔓 CORS origins: ${CORS_ORIGINS === true ? 'any' : CORS_ORIGINS.join(', ')}`);
+            console.log(`📊 Database: ${database.dbPath} (${database.getInfo().driver})`);
             console.log(`🎨 Frontend: ${path.join(__dirname, '..', 'frontend')}`);
-            console.log(`🤖 Models: ${path.join(__dirname, '..', 'frontend', 'models')}`);
+            console.log(`🤖 Models: ${faceRecognitionUtils.modelPath} (${faceRecognitionUtils.modelsLoaded ? 'verified' : 'NOT LOADED'})`);
             console.log(`⏰ Started at: ${new Date().toLocaleString()}`);
             console.log('🎯 ================================\n');
             
-            console.log('✅ Server ready! Open http://localhost:3000 in your browser');
-            console.log('\n📋 CRITICAL: Models are served at http://localhost:3000/models/');
-            console.log('🔧 Your face-api.js will now load models from LOCAL folder!');
+            console.log(`✅ Server ready! Open http://localhost:${PORT} in your browser`);
         });
         
     } catch (error) {
@@ -392,11 +547,13 @@ async function startServer() {
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
     console.log('\n🛑 SIGTERM received. Shutting down gracefully...');
+    database.close();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     console.log('\n🛑 SIGINT received. Shutting down gracefully...');
+    database.close();
     process.exit(0);
 });
 
@@ -0,0 +1,192 @@
+const { scheduleUtils } = require('./schedule');
+const { rollCallUtils } = require('./rollCall');
+
+/**
+ * Attendance Marking Utilities
+ * Turns a recognized scan into a check-in or check-out on the student's attendance record.
+ *   - The first scan in a session checks in: "present", or "late" after start + graceMinutes.
+ *   - A later scan (at least minCheckoutMinutes after check-in, or within
+ *     checkoutWindowMinutes after the session ended) checks out and stores minutesAttended;
+ *     leaving more than earlyLeaveMinutes before the end sets earlyDeparture.
+ */
+class AttendanceMarkingUtils {
+    /**
+     * Work out which session a scan at this moment belongs to
+     * @param {Object} schedule - Schedule configuration
+     * @param {Date} now - Scan time on the server clock
+     * @returns {Object} - { session, checkoutOnly } or { closed: true, next }
+     */
+    resolveSession(schedule, now = new Date()) {
+        const session = scheduleUtils.getCurrentSession(schedule, now, 'attendance');
+        if (session) {
+            return { session, checkoutOnly: false };
+        }
+
+        // Just after the bell only check-outs are accepted
+        const { checkoutWindowMinutes } = scheduleUtils.getRules(schedule);
+        const ended = scheduleUtils.getRecentlyEndedSession(schedule, now, 'attendance', checkoutWindowMinutes);
+        if (ended) {
+            return { session: ended, checkoutOnly: true };
+        }
+
+        return { closed: true, next: scheduleUtils.getNextSession(schedule, now, 'attendance') };
+    }
+
+    /**
+     * Minutes since midnight for a Date
+     * @param {Date} date - Moment
+     * @returns {number} - Minutes
+     */
+    minutesOfDay(date) {
+        return date.getHours() * 60 + date.getMinutes();
+    }
+
+    /**
+     * Decide between present and late for a check-in
+     * @param {Object} session - Schedule session
+     * @param {Object} rules - Session rules
+     * @param {Date} now - Check-in time
+     * @returns {Object} - { status, minutesLate }
+     */
+    arrivalStatus(session, rules, now) {
+        const minutesLate = this.minutesOfDay(now) - scheduleUtils.toMinutes(session.start);
+        return minutesLate > rules.graceMinutes
+            ? { status: 'late', minutesLate }
+            : { status: 'present', minutesLate: 0 };
+    }
+
+    /**
+     * Record a scan for a recognized student (mutates db)
+     * @param {Object} db - Database document
+     * @param {Object} scan - { student, session, checkoutOnly, checkInOnly, timestamp, now, distance, confidence, liveness,
+     *                        idempotencyKey, offline, deviceId, markedBy }; checkInOnly (group attendance) never
+     *                        checks a student out, offline scans (replayed from a kiosk queue) get syncedAt and,
+     *                        if the session's roll call was already finalized, lateSync; deviceId is the
+     *                        enrolled kiosk that made the scan (null for user accounts)
+     * @returns {Object} - { action, record } where action is checked-in, checked-out,
+     *                     already-marked, already-checked-out or no-check-in
+     */
+    mark(db, { student, session, checkoutOnly = false, checkInOnly = false, timestamp, now = new Date(), distance, confidence, liveness = null, idempotencyKey = null, offline = false, deviceId = null, markedBy }) {
+        const rules = scheduleUtils.getRules(db.settings.schedule, session);
+        const nowIso = now.toISOString();
+        const syncedAt = offline ? new Date().toISOString() : null;
+        // A replayed scan that arrives after the roll call was finalized is flagged for the report
+        const lateSync = offline && Boolean(rollCallUtils.getFinalization(db, session.date, session.id));
+
+        const existing = db.attendance.find(a =>
+            a.studentId === student.studentId &&
+            rollCallUtils.recordMatches(a, session.date, session)
+        );
+
+        if (!existing || existing.status === 'excused' || existing.status === 'absent') {
+            if (checkoutOnly) {
+                return { action: 'no-check-in', record: existing || null };
+            }
+
+            const arrival = this.arrivalStatus(session, rules, now);
+
+            if (existing) {
+                // An excused student turned up after all: the scan replaces the excuse, which is
+                // kept as previousExcuse so the check-in does not show the old reason
+                if (existing.status === 'excused') {
+                    existing.previousExcuse = {
+                        reason: existing.reason,
+                        excusedBy: existing.markedBy,
+                        excusedAt: existing.updatedAt || existing.createdAt
+                    };
+                }
+                delete existing.reason;
+                Object.assign(existing, {
+                    timestamp,
+                    checkInAt: nowIso,
+                    status: arrival.status,
+                    minutesLate: arrival.minutesLate,
+                    distance,
+                    confidence,
+                    liveness,
+                    idempotencyKey,
+                    syncedAt,
+                    lateSync,
+                    deviceId,
+                    markedBy,
+                    updatedAt: nowIso
+                });
+                return { action: 'checked-in', record: existing };
+            }
+
+            const record = {
+                id: `att_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                studentId: student.studentId,
+                studentName: student.name,
+                studentClass: student.class,
+                timestamp,
+                checkInAt: nowIso,
+                date: session.date,
+                session: session.name,
+                sessionId: session.id,
+                sessionType: session.type,
+                status: arrival.status,
+                minutesLate: arrival.minutesLate,
+                distance,
+                confidence,
+                liveness,
+                idempotencyKey,
+                syncedAt,
+                lateSync,
+                deviceId,
+                markedBy,
+                createdAt: nowIso
+            };
+
+            db.attendance.push(record);
+            db.statistics.totalAttendance = (db.statistics.totalAttendance || 0) + 1;
+
+            return { action: 'checked-in', record };
+        }
+
+        if (existing.checkOutAt) {
+            return { action: 'already-checked-out', record: existing };
+        }
+
+        const checkIn = new Date(existing.checkInAt || existing.createdAt || existing.timestamp);
+        const minutesSinceCheckIn = (now - checkIn) / 60000;
+        if (checkInOnly || (!checkoutOnly && minutesSinceCheckIn < rules.minCheckoutMinutes)) {
+            return { action: 'already-marked', record: existing };
+        }
+
+        // Time after the bell does not count towards the session
+        const sessionEnd = new Date(now);
+        sessionEnd.setHours(0, scheduleUtils.toMinutes(session.end), 0, 0);
+        const leftAt = now < sessionEnd ? now : sessionEnd;
+
+        Object.assign(existing, {
+            checkOutTimestamp: timestamp,
+            checkOutAt: nowIso,
+            minutesAttended: Math.max(0, Math.round((leftAt - checkIn) / 60000)),
+            earlyDeparture: this.minutesOfDay(now) < scheduleUtils.toMinutes(session.end) - rules.earlyLeaveMinutes,
+            checkOutDistance: distance,
+            checkOutConfidence: confidence,
+            checkOutLiveness: liveness,
+            checkOutIdempotencyKey: idempotencyKey,
+            checkOutSyncedAt: syncedAt,
+            checkOutLateSync: lateSync,
+            checkOutDeviceId: deviceId,
+            checkOutMarkedBy: markedBy,
+            updatedAt: nowIso
+        });
+
+        return { action: 'checked-out', record: existing };
+    }
+}
+
+// Export singleton instance
+const attendanceMarkingUtils = new AttendanceMarkingUtils();
+
+module.exports = {
+    AttendanceMarkingUtils,
+    attendanceMarkingUtils,
+
+    // Convenience functions
+    resolveSession: (schedule, now) => attendanceMarkingUtils.resolveSession(schedule, now),
+    markAttendance: (db, scan) => attendanceMarkingUtils.mark(db, scan)
+};
@@ -0,0 +1,349 @@
+const DEFAULT_THRESHOLD = 0.6;
+
+// Used until a school fits its own curve: 50% at the default threshold
+const DEFAULT_CURVE = { slope: 12, midpoint: DEFAULT_THRESHOLD, fitted: false };
+
+const MIN_PAIRS = 10;
+const MAX_IMPOSTOR_PAIRS = 200000;
+const MAX_SLOPE = 100;
+const REPORT_THRESHOLDS = [0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8];
+
+/**
+ * Calibration Utilities
+ * Turns a raw descriptor distance into a calibrated confidence (0-100), using a
+ * logistic curve confidence = 100 / (1 + e^(slope * (distance - midpoint))).
+ *
+ * The curve is fitted from the school's own enrolled descriptors: distances between
+ * two descriptors of the same student are genuine pairs, distances between different
+ * students are impostor pairs. Both groups are weighted equally, so a confidence of 90
+ * means 9 in 10 scans at that distance are the right student when a genuine scan and an
+ * impostor scan are equally likely.
+ */
+class CalibrationUtils {
+    /**
+     * Euclidean distance between two descriptors
+     * @param {Array} desc1 - First descriptor
+     * @param {Array} desc2 - Second descriptor
+     * @returns {number} - Distance
+     */
+    distance(desc1, desc2) {
+        let sum = 0;
+        for (let i = 0; i < desc1.length; i++) {
+            const diff = desc1[i] - desc2[i];
+            sum += diff * diff;
+        }
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Genuine and impostor distances between the active students' enrolled descriptors.
+     * Impostor pairs grow with the square of the school size, so beyond maxImpostorPairs a
+     * fixed-seed random sample is used (the same database always gives the same result).
+     * @param {Array} students - Student records (db.students)
+     * @param {Object} options - { maxImpostorPairs }
+     * @returns {Object} - { genuine, impostor, students, descriptors, impostorSampled }
+     */
+    collectDistances(students, { maxImpostorPairs = MAX_IMPOSTOR_PAIRS } = {}) {
+        const enrolled = students
+            .filter(s => s.status === 'active')
+            .map(s => (s.faceData?.descriptors || []).filter(d => d && d.length === 128))
+            .filter(descriptors => descriptors.length > 0);
+
+        const genuine = [];
+        for (const descriptors of enrolled) {
+            for (let i = 0; i < descriptors.length; i++) {
+                for (let j = i + 1; j < descriptors.length; j++) {
+                    genuine.push(this.distance(descriptors[i], descriptors[j]));
+                }
+            }
+        }
+
+        // Flatten to [descriptor, owner] so impostor pairs can be enumerated or sampled
+        const flat = [];
+        enrolled.forEach((descriptors, owner) => descriptors.forEach(d => flat.push({ d, owner })));
+
+        const sameOwnerPairs = enrolled.reduce((sum, list) => sum + list.length * (list.length - 1) / 2, 0);
+        const impostorPairs = flat.length * (flat.length - 1) / 2 - sameOwnerPairs;
+        const impostor = [];
+        const impostorSampled = impostorPairs > maxImpostorPairs;
+
+        if (!impostorSampled) {
+            for (let i = 0; i < flat.length; i++) {
+                for (let j = i + 1; j < flat.length; j++) {
+                    if (flat[i].owner !== flat[j].owner) impostor.push(this.distance(flat[i].d, flat[j].d));
+                }
+            }
+        } else {
+            const random = this.createRandom(flat.length);
+            while (impostor.length < maxImpostorPairs) {
+                const a = flat[Math.floor(random() * flat.length)];
+                const b = flat[Math.floor(random() * flat.length)];
+                if (a.owner !== b.owner) impostor.push(this.distance(a.d, b.d));
+            }
+        }
+
+        return { genuine, impostor, students: enrolled.length, descriptors: flat.length, impostorSampled };
+    }
+
+    /**
+     * Fit the logistic confidence curve to genuine/impostor distances (weighted logistic
+     * regression by Newton's method, with a small penalty on the slope so perfectly
+     * separated data still gives a finite curve)
+     * @param {Object} distances - { genuine, impostor } from collectDistances()
+     * @returns {Object} - { success, curve } or { success: false, message }
+     */
+    fitCurve({ genuine, impostor }) {
+        const shortage = this.checkPairs({ genuine, impostor });
+        if (shortage) return shortage;
+
+        const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const center = (mean(genuine) + mean(impostor)) / 2;
+        const samples = [
+            ...genuine.map(d => ({ x: d - center, y: 1, w: 0.5 / genuine.length })),
+            ...impostor.map(d => ({ x: d - center, y: 0, w: 0.5 / impostor.length }))
+        ];
+        const penalty = 1e-5;
+
+        // logit(confidence) = a + b * (distance - center)
+        let a = 0;
+        let b = 0;
+        for (let iteration = 0; iteration < 100; iteration++) {
+            let ga = 0, gb = penalty * b, haa = 0, hab = 0, hbb = penalty;
+            for (const { x, y, w } of samples) {
+                const p = 1 / (1 + Math.exp(-(a + b * x)));
+                const s = w * p * (1 - p);
+                ga += w * (p - y);
+                gb += w * (p - y) * x;
+                haa += s;
+                hab += s * x;
+                hbb += s * x * x;
+            }
+
+            const det = haa * hbb - hab * hab;
+            if (!(det > 0)) break;
+            const stepA = (hbb * ga - hab * gb) / det;
+            const stepB = (haa * gb - hab * ga) / det;
+            a -= stepA;
+            b -= stepB;
+            if (Math.abs(stepA) < 1e-9 && Math.abs(stepB) < 1e-9) break;
+        }
+
+        if (!(b < 0) || !Number.isFinite(a)) {
+            return {
+                success: false,
+                message: 'Genuine pairs are not closer than impostor pairs; check the enrolled photos before calibrating.'
+            };
+        }
+
+        const slope = Math.min(-b, MAX_SLOPE);
+        return {
+            success: true,
+            curve: {
+                slope: Math.round(slope * 1000) / 1000,
+                midpoint: Math.round((center - a / b) * 10000) / 10000,
+                fitted: true,
+                genuinePairs: genuine.length,
+                impostorPairs: impostor.length
+            }
+        };
+    }
+
+    /**
+     * Error report for choosing recognitionThreshold. A pair is accepted when its distance is
+     * below the threshold: FAR is the share of impostor pairs accepted, FRR the share of
+     * genuine pairs rejected. The recommendation is the equal-error-rate threshold, or with
+     * targetFar the threshold with the lowest FRR whose FAR stays at or below it.
+     * @param {Object} distances - From collectDistances()
+     * @param {Object} options - { targetFar, currentThreshold }
+     * @returns {Object} - { success, report } or { success: false, message }
+     */
+    thresholdReport(distances, { targetFar = null, currentThreshold = null } = {}) {
+        const shortage = this.checkPairs(distances);
+        if (shortage) return shortage;
+
+        const genuine = Float64Array.from(distances.genuine).sort();
+        const impostor = Float64Array.from(distances.impostor).sort();
+        const rates = threshold => ({
+            threshold,
+            far: this.countBelow(impostor, threshold) / impostor.length,
+            frr: (genuine.length - this.countBelow(genuine, threshold)) / genuine.length
+        });
+
+        // Sweep in 0.001 steps. FAR only rises and FRR only falls with the threshold, so each
+        // score below has one best run of thresholds; the middle of that run is used
+        const sweep = [];
+        for (let step = 1; step <= 1500; step++) sweep.push(rates(step / 1000));
+
+        const eerThreshold = this.middleOfBest(sweep, point => Math.abs(point.far - point.frr));
+        const eerPoint = rates(eerThreshold);
+        const eer = { threshold: eerThreshold, rate: (eerPoint.far + eerPoint.frr) / 2 };
+
+        let recommended;
+        if (targetFar !== null) {
+            // Lowest FRR that keeps FAR at or below the target, rounded down so it still does
+            const allowed = sweep.filter(point => point.far <= targetFar);
+            const threshold = allowed.length > 0 ? this.middleOfBest(allowed, point => point.frr) : sweep[0].threshold;
+            recommended = { ...rates(this.roundThreshold(Math.floor(threshold * 100) / 100)), basis: `FAR at or below ${targetFar}` };
+        } else {
+            recommended = { ...rates(this.roundThreshold(eer.threshold)), basis: 'equal error rate' };
+        }
+
+        return {
+            success: true,
+            report: {
+                students: distances.students,
+                descriptors: distances.descriptors,
+                impostorSampled: distances.impostorSampled,
+                genuine: this.summarize(genuine),
+                impostor: this.summarize(impostor),
+                histogram: this.histogram(genuine, impostor),
+                thresholds: REPORT_THRESHOLDS.map(rates),
+                eer,
+                recommended,
+                current: currentThreshold !== null ? rates(currentThreshold) : null
+            }
+        };
+    }
+
+    /**
+     * Set settings.recognitionThreshold from a threshold report and log it (mutates db)
+     * @param {Object} db - Database document
+     * @param {Object} change - { report, performedBy, ip }
+     * @returns {Object} - { from, to }
+     */
+    applyThreshold(db, { report, performedBy, ip = null }) {
+        const from = db.settings.recognitionThreshold ?? null;
+        const to = report.recommended.threshold;
+
+        db.settings.recognitionThreshold = to;
+        db.logs.system.push({
+            id: `sys_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            action: 'calibration.threshold',
+            changes: { recognitionThreshold: { from, to } },
+            basis: report.recommended.basis,
+            far: report.recommended.far,
+            frr: report.recommended.frr,
+            eer: report.eer,
+            genuinePairs: report.genuine.count,
+            impostorPairs: report.impostor.count,
+            performedBy,
+            timestamp: new Date().toISOString(),
+            ...(ip ? { ip } : {})
+        });
+
+        return { from, to };
+    }
+
+    // Failure result when there are too few pairs to calibrate from, otherwise null
+    checkPairs({ genuine, impostor }) {
+        if (genuine.length >= MIN_PAIRS && impostor.length >= MIN_PAIRS) return null;
+        return {
+            success: false,
+            message: `At least ${MIN_PAIRS} genuine and ${MIN_PAIRS} impostor pairs are needed ` +
+                `(found ${genuine.length} and ${impostor.length}). Enroll more students with several photos each.`
+        };
+    }
+
+    // Middle threshold of the first run of points with the lowest score
+    middleOfBest(points, score) {
+        let best = Infinity;
+        let first = 0;
+        let last = 0;
+        points.forEach((point, i) => {
+            const value = score(point);
+            if (value < best - 1e-12) {
+                best = value;
+                first = last = i;
+            } else if (value <= best + 1e-12 && last === i - 1) {
+                last = i;
+            }
+        });
+        return Math.round((points[first].threshold + points[last].threshold) * 500) / 1000;
+    }
+
+    // Number of values in a sorted array below a limit (binary search)
+    countBelow(sorted, limit) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sorted[mid] < limit) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    // Count, mean and spread of a sorted distance list
+    summarize(sorted) {
+        const at = p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+        const round = value => Math.round(value * 10000) / 10000;
+        return {
+            count: sorted.length,
+            min: round(sorted[0]),
+            p5: round(at(0.05)),
+            median: round(at(0.5)),
+            p95: round(at(0.95)),
+            max: round(sorted[sorted.length - 1]),
+            mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length)
+        };
+    }
+
+    // Genuine and impostor counts in 0.05-wide distance bins
+    histogram(genuine, impostor, width = 0.05) {
+        const top = Math.max(genuine[genuine.length - 1], impostor[impostor.length - 1]);
+        const bins = [];
+        for (let from = 0; from <= top; from = Math.round((from + width) * 100) / 100) {
+            const to = Math.round((from + width) * 100) / 100;
+            bins.push({
+                from,
+                to,
+                genuine: this.countBelow(genuine, to) - this.countBelow(genuine, from),
+                impostor: this.countBelow(impostor, to) - this.countBelow(impostor, from)
+            });
+        }
+        return bins;
+    }
+
+    // Thresholds are applied in 0.01 steps within the range settings accept
+    roundThreshold(threshold) {
+        return Math.min(1, Math.max(0.01, Math.round(threshold * 100) / 100));
+    }
+
+    /**
+     * Calibrated confidence for a distance
+     * @param {number} distance - Raw descriptor distance
+     * @param {Object} curve - Fitted curve (settings.confidenceCalibration), or null for the default
+     * @returns {number} - Confidence 0-100 (0 when there is no distance)
+     */
+    toConfidence(distance, curve = null) {
+        if (typeof distance !== 'number' || !Number.isFinite(distance)) return 0;
+
+        const { slope, midpoint } = curve || DEFAULT_CURVE;
+        return Math.round(100 / (1 + Math.exp(slope * (distance - midpoint))));
+    }
+
+    // Deterministic PRNG so sampled calibrations are repeatable
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state * 1664525 + 1013904223) >>> 0;
+            return state / 4294967296;
+        };
+    }
+}
+
+// Export singleton instance
+const calibrationUtils = new CalibrationUtils();
+
+module.exports = {
+    CalibrationUtils,
+    calibrationUtils,
+    DEFAULT_THRESHOLD,
+    DEFAULT_CURVE,
+
+    // Convenience functions
+    collectDistances: (students, options) => calibrationUtils.collectDistances(students, options),
+    fitCurve: (distances) => calibrationUtils.fitCurve(distances),
+    thresholdReport: (distances, options) => calibrationUtils.thresholdReport(distances, options),
+    toConfidence: (distance, curve) => calibrationUtils.toConfidence(distance, curve)
+};
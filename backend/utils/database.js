@@ -0,0 +1,342 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { buildFromSettings } = require('./schedule');
+const { DEFAULT_THRESHOLD } = require('./calibration');
+const { DEFAULT_ADAPTATION } = require('./templateAdaptation');
+const { DEFAULT_ENROLLMENT_QUALITY } = require('./enrollmentQuality');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'db', 'database.json');
+
+/**
+ * JSON File Driver
+ * Stores the whole database as one pretty-printed JSON document,
+ * saved atomically (temp file + rename)
+ */
+class JsonFileDriver {
+    constructor(dbPath) {
+        this.name = 'json';
+        this.dbPath = dbPath;
+        this.mtime = null;
+        this.lastSerialized = null;
+    }
+
+    async exists() {
+        try {
+            await fs.access(this.dbPath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Check whether the file was changed by someone else since we last read or wrote it
+     * @returns {Promise<boolean>} - True if the cached copy is out of date
+     */
+    async isStale() {
+        try {
+            const stats = await fs.stat(this.dbPath);
+            return stats.mtimeMs !== this.mtime;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async load() {
+        const raw = await fs.readFile(this.dbPath, 'utf-8');
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            // Never fall back to an empty document here: the next write would wipe the real data
+            throw new Error(`Database file is corrupt (${this.dbPath}): ${error.message}`);
+        }
+
+        const stats = await fs.stat(this.dbPath);
+        this.mtime = stats.mtimeMs;
+        this.lastSerialized = JSON.stringify(parsed, null, 2);
+        return parsed;
+    }
+
+    /**
+     * Work out whether the document differs from what is on disk
+     * @param {Object} data - Database document
+     * @returns {boolean|null} - True when changed, null when nothing changed
+     */
+    diff(data) {
+        return JSON.stringify(data, null, 2) === this.lastSerialized ? null : true;
+    }
+
+    async write(data) {
+        const serialized = JSON.stringify(data, null, 2);
+        const tempPath = `${this.dbPath}.${process.pid}.${Date.now()}.tmp`;
+
+        await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+        try {
+            await fs.writeFile(tempPath, serialized, 'utf-8');
+            await fs.rename(tempPath, this.dbPath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+
+        const stats = await fs.stat(this.dbPath);
+        this.mtime = stats.mtimeMs;
+        this.lastSerialized = serialized;
+    }
+
+    reset() {
+        this.mtime = null;
+        this.lastSerialized = null;
+    }
+
+    close() {}
+}
+
+/**
+ * Database Storage Module
+ * Single owner of the database: caches the document in memory,
+ * serializes every read-modify-write and delegates persistence to a driver
+ * (JSON file by default, SQLite when configured)
+ */
+class DatabaseStore {
+    constructor(driver = new JsonFileDriver(DEFAULT_DB_PATH)) {
+        this.driver = driver;
+        this.dbPath = driver.dbPath;
+        this.cache = null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Build the default database structure used for new installs
+     * and to fill in collections missing from older files
+     * @returns {Object} - Empty database document
+     */
+    createDefaultDatabase() {
+        const now = new Date().toISOString();
+
+        return {
+            students: [],
+            attendance: [],
+            meals: [],
+            users: [],
+            devices: [],
+            settings: {
+                schoolName: "Smart Attendance System",
+                academicYear: "2025-2026",
+                recognitionThreshold: DEFAULT_THRESHOLD,
+                ambiguityMargin: 0.05,
+                confidenceCalibration: null, // fitted with POST /api/calibration/confidence
+                templateAdaptation: { ...DEFAULT_ADAPTATION },
+                enrollmentQuality: { ...DEFAULT_ENROLLMENT_QUALITY },
+                schedule: buildFromSettings()
+            },
+            statistics: {
+                totalRegistrations: 0,
+                totalAttendanceMarked: 0,
+                totalMealsServed: 0,
+                dailyAttendance: {},
+                weeklyAttendance: {},
+                monthlyAttendance: {},
+                lastUpdated: now,
+                systemStarted: now
+            },
+            logs: {
+                registrations: [],
+                attendance: [],
+                meals: [],
+                recognition: [],
+                system: []
+            }
+        };
+    }
+
+    /**
+     * Fill in any collections or settings missing from a loaded document
+     * @param {Object} data - Parsed database document
+     * @returns {Object} - The same document, normalized in place
+     */
+    normalize(data) {
+        const defaults = this.createDefaultDatabase();
+
+        for (const key of ['students', 'attendance', 'meals', 'users', 'devices']) {
+            if (!Array.isArray(data[key])) data[key] = [];
+        }
+        const settings = data.settings || {};
+        // Older files only have flat session times (morningSessionStart, mealTimeStart, ...)
+        if (!settings.schedule) settings.schedule = buildFromSettings(settings);
+        data.settings = { ...defaults.settings, ...settings };
+        data.statistics = { ...defaults.statistics, ...(data.statistics || {}) };
+        data.logs = { ...defaults.logs, ...(data.logs || {}) };
+
+        return data;
+    }
+
+    /**
+     * Create the database if it does not exist yet
+     * @returns {Promise<boolean>} - True if a new database was created
+     */
+    async initialize() {
+        if (await this.driver.exists()) {
+            return false;
+        }
+
+        await this.driver.write(this.createDefaultDatabase());
+        this.cache = null;
+        return true;
+    }
+
+    /**
+     * Get the current database document
+     * The returned object is shared with other requests and must not be modified;
+     * use update() for any change
+     * @returns {Promise<Object>} - Database document
+     */
+    async read() {
+        return this.load();
+    }
+
+    /**
+     * Run a read-modify-write against the database
+     * Updates run one at a time, so two requests can never overwrite each other's changes.
+     * The document is saved only if the mutator actually changed it.
+     * @param {Function} mutator - (db) => result, may be async
+     * @returns {Promise<*>} - Whatever the mutator returned
+     */
+    update(mutator) {
+        const run = this.queue.then(async () => {
+            const data = await this.load();
+
+            try {
+                const result = await mutator(data);
+                await this.save(data);
+                return result;
+            } catch (error) {
+                // The cached document may be half-modified; reload from storage next time
+                this.invalidate();
+                throw error;
+            }
+        });
+
+        // Keep the queue alive even when an update fails
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Load the document from cache, re-reading storage if it changed underneath us
+     * @returns {Promise<Object>} - Database document
+     */
+    async load() {
+        if (this.cache && !(await this.driver.isStale())) {
+            return this.cache;
+        }
+
+        if (!(await this.driver.exists())) {
+            // Missing database: start from defaults, it is written on the next update
+            if (!this.cache) {
+                this.cache = this.createDefaultDatabase();
+                this.driver.reset();
+            }
+            return this.cache;
+        }
+
+        this.cache = this.normalize(await this.driver.load());
+        return this.cache;
+    }
+
+    /**
+     * Save the document if it differs from what is stored
+     * @param {Object} data - Database document
+     */
+    async save(data) {
+        const changes = this.driver.diff(data);
+        if (!changes) {
+            return;
+        }
+
+        data.statistics = data.statistics || {};
+        data.statistics.lastUpdated = new Date().toISOString();
+
+        await this.driver.write(data, changes);
+        this.cache = data;
+    }
+
+    /**
+     * Drop the in-memory copy so the next access re-reads storage
+     */
+    invalidate() {
+        this.cache = null;
+        this.driver.reset();
+    }
+
+    /**
+     * Release the underlying storage (database handles) on shutdown
+     */
+    close() {
+        this.driver.close();
+        this.cache = null;
+    }
+
+    /**
+     * Describe the active storage backend (for health checks and startup logs)
+     * @returns {Object} - Driver name and location
+     */
+    getInfo() {
+        return {
+            driver: this.driver.name,
+            path: this.dbPath
+        };
+    }
+}
+
+/**
+ * Resolve storage settings from the environment (.env written by scripts/setup.js)
+ * DB_DRIVER selects the backend explicitly; otherwise a .sqlite/.sqlite3/.db
+ * DB_PATH selects SQLite and anything else the JSON file
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { driver, dbPath }
+ */
+function resolveStorageConfig(env = process.env) {
+    const dbPath = env.DB_PATH ? path.resolve(PROJECT_ROOT, env.DB_PATH) : DEFAULT_DB_PATH;
+    const driver = (env.DB_DRIVER || (/\.(sqlite3?|db)$/i.test(dbPath) ? 'sqlite' : 'json')).toLowerCase();
+
+    if (!['json', 'sqlite'].includes(driver)) {
+        throw new Error(`Unknown DB_DRIVER "${driver}" (expected json or sqlite)`);
+    }
+
+    return { driver, dbPath };
+}
+
+/**
+ * Create a store for the given driver name and path
+ * @param {Object} config - { driver, dbPath }
+ * @returns {DatabaseStore} - Store instance
+ */
+function createStore({ driver, dbPath }) {
+    if (driver === 'sqlite') {
+        // Loaded lazily so JSON-only installs do not need the native module
+        const { SqliteDriver } = require('./sqliteDriver');
+        return new DatabaseStore(new SqliteDriver(dbPath));
+    }
+    return new DatabaseStore(new JsonFileDriver(dbPath));
+}
+
+// Export singleton instance
+const database = createStore(resolveStorageConfig());
+
+module.exports = {
+    DatabaseStore,
+    JsonFileDriver,
+    database,
+    resolveStorageConfig,
+    createStore,
+
+    // Convenience functions
+    initialize: () => database.initialize(),
+    read: () => database.read(),
+    update: (mutator) => database.update(mutator),
+    getPath: () => database.dbPath
+};
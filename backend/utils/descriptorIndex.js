@@ -0,0 +1,200 @@
+const DESCRIPTOR_LENGTH = 128;
+
+// Enrollment descriptors plus any recent templates kept by template adaptation
+function templatesOf(student) {
+    const recent = (student.faceData?.adaptiveDescriptors || []).map(template => template.descriptor);
+    return [...(student.faceData?.descriptors || []), ...recent];
+}
+
+/**
+ * Descriptor Index
+ * Keeps every active student's face descriptors in one Float32Array matrix
+ * (one 128-float row per descriptor) so 1:N matching is a tight loop over
+ * contiguous memory instead of walking student records on every scan.
+ *
+ * The index follows db.students: it is rebuilt whenever it is handed a different
+ * students array (the database cache was reloaded) and register routes keep it
+ * current with add()/remove() inside their updates (template adaptation with update()).
+ * Search is exact; rows whose running distance already exceeds the current
+ * k-th best are abandoned early, which is what keeps it fast at 50k faces.
+ */
+class DescriptorIndex {
+    constructor() {
+        this.capacity = 0;
+        this.count = 0;
+        this.matrix = new Float32Array(0);
+        this.owners = [];                // row -> student record
+        this.rowsByStudent = new Map();  // student record -> [row, ...]
+        this.source = null;              // students array the index was built from
+    }
+
+    /**
+     * Rebuild the index from scratch
+     * @param {Array} students - Student records (db.students)
+     */
+    build(students) {
+        this.count = 0;
+        this.owners = [];
+        this.rowsByStudent = new Map();
+        this.reserve(students.reduce((sum, s) => sum + templatesOf(s).length, 0));
+
+        for (const student of students) {
+            this.add(student);
+        }
+        this.source = students;
+    }
+
+    /**
+     * Rebuild if the index was built from a different students array
+     * @param {Array} students - Student records (db.students)
+     */
+    sync(students) {
+        if (students !== this.source) {
+            this.build(students);
+        }
+    }
+
+    /**
+     * Grow the matrix to hold at least this many rows
+     * @param {number} rows - Required row count
+     */
+    reserve(rows) {
+        if (rows <= this.capacity) return;
+
+        const capacity = Math.max(rows, this.capacity * 2, 64);
+        const matrix = new Float32Array(capacity * DESCRIPTOR_LENGTH);
+        matrix.set(this.matrix.subarray(0, this.count * DESCRIPTOR_LENGTH));
+        this.matrix = matrix;
+        this.capacity = capacity;
+    }
+
+    /**
+     * Add an active student's descriptors and recent templates
+     * (inactive students and bad descriptors are skipped)
+     * @param {Object} student - Student record
+     */
+    add(student) {
+        if (student.status !== 'active' || this.rowsByStudent.has(student)) return;
+
+        const descriptors = templatesOf(student).filter(d => d && d.length === DESCRIPTOR_LENGTH);
+        if (descriptors.length === 0) return;
+
+        this.reserve(this.count + descriptors.length);
+        const rows = [];
+        for (const descriptor of descriptors) {
+            this.matrix.set(descriptor, this.count * DESCRIPTOR_LENGTH);
+            this.owners[this.count] = student;
+            rows.push(this.count++);
+        }
+        this.rowsByStudent.set(student, rows);
+    }
+
+    /**
+     * Remove a student's descriptors (the last rows are moved into the gaps)
+     * @param {Object} student - Student record
+     */
+    remove(student) {
+        const rows = this.rowsByStudent.get(student);
+        if (!rows) return;
+        this.rowsByStudent.delete(student);
+
+        for (const row of [...rows].sort((a, b) => b - a)) {
+            const last = --this.count;
+            if (row !== last) {
+                const moved = this.owners[last];
+                this.matrix.copyWithin(row * DESCRIPTOR_LENGTH, last * DESCRIPTOR_LENGTH, (last + 1) * DESCRIPTOR_LENGTH);
+                this.owners[row] = moved;
+                const movedRows = this.rowsByStudent.get(moved);
+                movedRows[movedRows.indexOf(last)] = row;
+            }
+            this.owners.length = this.count;
+        }
+    }
+
+    /**
+     * Re-index a student whose descriptors or status changed
+     * @param {Object} student - Student record
+     */
+    update(student) {
+        this.remove(student);
+        this.add(student);
+    }
+
+    /**
+     * Find the nearest students to a descriptor
+     * @param {Array|Float32Array} descriptor - 128-number query
+     * @param {Object} options - { k: distinct students to return, maxDistance: exclusive limit }
+     * @returns {Array} - [{ student, distance }] nearest first
+     */
+    search(descriptor, { k = 1, maxDistance = Infinity } = {}) {
+        const query = descriptor instanceof Float32Array ? descriptor : Float32Array.from(descriptor);
+        const matrix = this.matrix;
+        const limit = maxDistance * maxDistance;
+        const results = []; // { student, sq } sorted by sq, one entry per student
+        let bound = limit;
+
+        for (let row = 0; row < this.count; row++) {
+            const base = row * DESCRIPTOR_LENGTH;
+            let sum = 0;
+
+            // Check the running sum every 16 dimensions and give up on rows that cannot win
+            for (let i = 0; i < DESCRIPTOR_LENGTH && sum < bound; i += 16) {
+                for (let j = i; j < i + 16; j++) {
+                    const diff = query[j] - matrix[base + j];
+                    sum += diff * diff;
+                }
+            }
+            if (sum >= bound) continue;
+
+            const student = this.owners[row];
+            const existing = results.findIndex(r => r.student === student);
+            if (existing !== -1) {
+                if (results[existing].sq <= sum) continue;
+                results.splice(existing, 1);
+            }
+
+            let at = results.length;
+            while (at > 0 && results[at - 1].sq > sum) at--;
+            results.splice(at, 0, { student, sq: sum });
+            if (results.length > k) results.pop();
+            if (results.length === k) bound = Math.min(limit, results[k - 1].sq);
+        }
+
+        return results.map(r => ({ student: r.student, distance: Math.sqrt(r.sq) }));
+    }
+
+    /**
+     * Search several descriptors at once (e.g. every face in one camera frame)
+     * @param {Array} descriptors - Query descriptors
+     * @param {Object} options - Same as search()
+     * @returns {Array} - One result list per query
+     */
+    searchBatch(descriptors, options = {}) {
+        return descriptors.map(descriptor => this.search(descriptor, options));
+    }
+
+    /**
+     * Describe the index (for health checks and benchmarks)
+     * @returns {Object} - { students, descriptors, bytes }
+     */
+    getInfo() {
+        return {
+            students: this.rowsByStudent.size,
+            descriptors: this.count,
+            bytes: this.matrix.byteLength
+        };
+    }
+}
+
+// Export singleton instance
+const descriptorIndex = new DescriptorIndex();
+
+module.exports = {
+    DescriptorIndex,
+    descriptorIndex,
+    DESCRIPTOR_LENGTH,
+
+    // Convenience functions
+    buildIndex: (students) => descriptorIndex.build(students),
+    searchIndex: (descriptor, options) => descriptorIndex.search(descriptor, options)
+};
@@ -0,0 +1,123 @@
+const { scheduleUtils } = require('./schedule');
+
+const DEVICE_MODES = ['attendance', 'meal', 'registration'];
+
+// Modes of kiosk user accounts that are not enrolled devices (logins from before device enrollment)
+const KIOSK_ACCOUNT_MODES = ['attendance', 'meal'];
+
+// lastSeenAt is written at most this often per device, not on every request
+const LAST_SEEN_INTERVAL_MS = 60000;
+
+/**
+ * Device Utilities
+ * Kiosks enrolled by an admin (db.devices) sign in with a device token instead of a user
+ * account. Each device has a name, a location and the modes it may be used for; the
+ * attendance and meal records it creates carry its deviceId.
+ */
+class DeviceUtils {
+    /**
+     * Validate device fields from the admin API
+     * @param {Object} data - { name, location, modes, status }
+     * @param {Object} options - { partial: only check the fields present }
+     * @returns {Array<string>} - Validation errors (empty when valid)
+     */
+    validate(data, { partial = false } = {}) {
+        const errors = [];
+
+        if (!partial || 'name' in data) {
+            if (typeof data.name !== 'string' || data.name.trim().length < 2 || data.name.trim().length > 60) {
+                errors.push('Name must be 2-60 characters.');
+            }
+        }
+        if ('location' in data && (typeof data.location !== 'string' || data.location.trim().length > 100)) {
+            errors.push('Location must be text of at most 100 characters.');
+        }
+        if (!partial || 'modes' in data) {
+            if (!Array.isArray(data.modes) || data.modes.length === 0 || data.modes.some(mode => !DEVICE_MODES.includes(mode))) {
+                errors.push(`Modes must be one or more of: ${DEVICE_MODES.join(', ')}.`);
+            }
+        }
+        if ('status' in data && !['active', 'inactive'].includes(data.status)) {
+            errors.push('Status must be active or inactive.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Modes a request may use: an enrolled device's own, kiosk accounts the scanning modes,
+     * and every other role all of them (their role checks still apply)
+     * @param {Object} user - req.user
+     * @param {Object|null} device - req.device
+     * @returns {Array<string>} - Allowed modes
+     */
+    getModes(user, device) {
+        if (device) return device.modes;
+        return user.role === 'kiosk' ? KIOSK_ACCOUNT_MODES : DEVICE_MODES;
+    }
+
+    /**
+     * Whether lastSeenAt is old enough to be written again
+     * @param {Object} device - Device record
+     * @param {Date} now - Current time
+     * @returns {boolean}
+     */
+    isSeenDue(device, now = new Date()) {
+        return !device.lastSeenAt || now - new Date(device.lastSeenAt) >= LAST_SEEN_INTERVAL_MS;
+    }
+
+    /**
+     * Scans recorded by each device: check-ins, check-outs and meals
+     * @param {Object} db - Database document
+     * @param {Date} now - Current time (decides "today")
+     * @returns {Map<string, Object>} - deviceId -> { today, total, attendance, meals, lastScanAt }
+     */
+    getUsage(db, now = new Date()) {
+        const today = scheduleUtils.toLocalDate(now);
+        const usage = new Map();
+
+        const count = (deviceId, kind, date, timestamp) => {
+            if (!deviceId) return;
+            if (!usage.has(deviceId)) {
+                usage.set(deviceId, { today: 0, total: 0, attendance: 0, meals: 0, lastScanAt: null });
+            }
+            const entry = usage.get(deviceId);
+            entry.total++;
+            entry[kind]++;
+            if (date === today) entry.today++;
+            if (timestamp && (!entry.lastScanAt || timestamp > entry.lastScanAt)) entry.lastScanAt = timestamp;
+        };
+
+        db.attendance.forEach(record => {
+            count(record.deviceId, 'attendance', record.date, record.checkInAt || record.timestamp);
+            count(record.checkOutDeviceId, 'attendance', record.date, record.checkOutAt);
+        });
+        db.meals.forEach(record => count(record.deviceId, 'meals', record.date, record.timestamp));
+
+        return usage;
+    }
+
+    /**
+     * Device as sent to the admin view (without the token version)
+     * @param {Object} device - Device record
+     * @param {Object} usage - Entry from getUsage, if any
+     * @returns {Object} - Public device
+     */
+    toPublicDevice(device, usage = null) {
+        const { tokenVersion, ...profile } = device;
+        return {
+            ...profile,
+            scans: usage || { today: 0, total: 0, attendance: 0, meals: 0, lastScanAt: null }
+        };
+    }
+}
+
+// Export singleton instance
+const deviceUtils = new DeviceUtils();
+
+module.exports = {
+    DeviceUtils,
+    deviceUtils,
+    DEVICE_MODES,
+    KIOSK_ACCOUNT_MODES
+};
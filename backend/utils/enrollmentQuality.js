@@ -0,0 +1,55 @@
+// settings.enrollmentQuality overrides any of these
+const DEFAULT_ENROLLMENT_QUALITY = {
+    minCaptures: 3,     // captures a registration needs
+    minVariety: 0.05    // captures closer than this to an earlier one are the same pose
+};
+
+/**
+ * Enrollment Quality Utilities
+ * Options for the registration quality gate. The check itself is
+ * FaceRecognitionUtils.checkEnrollment, next to the descriptor validation and matching it uses.
+ */
+class EnrollmentQualityUtils {
+    /**
+     * Quality gate options for a school
+     * @param {Object} settings - db.settings
+     * @returns {Object} - DEFAULT_ENROLLMENT_QUALITY merged with settings.enrollmentQuality
+     */
+    getOptions(settings) {
+        return { ...DEFAULT_ENROLLMENT_QUALITY, ...(settings?.enrollmentQuality || {}) };
+    }
+
+    /**
+     * Validate a (partial) settings.enrollmentQuality value
+     * @param {Object} options - Value from a settings update
+     * @returns {Array} - Error messages
+     */
+    validate(options) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            return ['Enrollment quality must be an object.'];
+        }
+
+        const errors = [];
+        const unknown = Object.keys(options).filter(key => !(key in DEFAULT_ENROLLMENT_QUALITY));
+        if (unknown.length > 0) errors.push(`Unknown enrollment quality options: ${unknown.join(', ')}.`);
+
+        // /api/register/images accepts at most 10 photos
+        if ('minCaptures' in options && !(Number.isInteger(options.minCaptures) && options.minCaptures >= 1 && options.minCaptures <= 10)) {
+            errors.push('enrollmentQuality.minCaptures must be a whole number from 1 to 10.');
+        }
+        if ('minVariety' in options && !(typeof options.minVariety === 'number' && options.minVariety >= 0 && options.minVariety <= 0.3)) {
+            errors.push('enrollmentQuality.minVariety must be a number from 0 to 0.3.');
+        }
+
+        return errors;
+    }
+}
+
+// Export singleton instance
+const enrollmentQualityUtils = new EnrollmentQualityUtils();
+
+module.exports = {
+    EnrollmentQualityUtils,
+    enrollmentQualityUtils,
+    DEFAULT_ENROLLMENT_QUALITY
+};
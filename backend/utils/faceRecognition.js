@@ -1,10 +1,25 @@
-// Face recognition utilityconst faceapi = require('face-api.js');
-const { Canvas, Image, ImageData } = require('canvas');
-const fs = require('fs').promises;
+// Face recognition utility
 const path = require('path');
-
-// Configure face-api.js for Node.js environment
-faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
+const { modelManifestUtils } = require('./modelManifest');
+const { descriptorIndex } = require('./descriptorIndex');
+const { calibrationUtils, DEFAULT_THRESHOLD } = require('./calibration');
+const { enrollmentQualityUtils } = require('./enrollmentQuality');
+
+// face-api.js, the native canvas module and sharp (imageProcessing) are loaded on first use,
+// so a server without working native builds still starts and serves descriptor-based scanning
+let faceApiModules = null;
+
+function loadFaceApi() {
+    if (!faceApiModules) {
+        const faceapi = require('face-api.js');
+        const { Canvas, Image, ImageData, loadImage } = require('canvas');
+
+        // Configure face-api.js for Node.js environment
+        faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
+        faceApiModules = { faceapi, loadImage };
+    }
+    return faceApiModules;
+}
 
 /**
  * Face Recognition Utility Module
@@ -14,29 +29,47 @@ faceapi.env.monkeyPatch({ Canvas, Image, ImageData });
 class FaceRecognitionUtils {
     constructor() {
         this.modelsLoaded = false;
-        this.modelPath = path.join(__dirname, '..', 'models');
-        this.recognitionThreshold = 0.6; // Default threshold for face matching
-        this.detectionOptions = new faceapi.TinyFaceDetectorOptions({
+        this.modelStatus = null; // Manifest check from the last loadModels()
+        // MODEL_PATH is relative to the project root
+        this.modelPath = process.env.MODEL_PATH
+            ? path.resolve(__dirname, '..', '..', process.env.MODEL_PATH)
+            : path.join(__dirname, '..', 'models');
+        this.recognitionThreshold = DEFAULT_THRESHOLD; // Used when settings.recognitionThreshold is unset
+        this.uploadFormats = ['jpeg', 'png']; // Formats accepted by descriptorFromImage
+        this.detectionOptions = { // TinyFaceDetectorOptions, built when faces are detected
             inputSize: 416,
             scoreThreshold: 0.5
-        });
+        };
     }
 
     /**
-     * Initialize and load all required face-api.js models
+     * Verify the weight files against backend/models-manifest.json and load the nets.
+     * Nothing is downloaded: missing or unverified weights leave the models unloaded
+     * (install them with scripts/setup-models.js).
      * @param {string} modelPath - Path to the models directory (optional)
      * @returns {Promise<boolean>} - True if models loaded successfully
      */
     async loadModels(modelPath = null) {
+        const modelsDir = modelPath || this.modelPath;
+        this.modelsLoaded = false;
+
+        console.log('🤖 Loading face recognition models...');
+
+        this.modelStatus = modelManifestUtils.checkDirectory(modelsDir);
+        if (!this.modelStatus.valid) {
+            for (const [net, status] of Object.entries(this.modelStatus.nets)) {
+                if (status.valid) continue;
+                const problems = Object.entries(status.files)
+                    .filter(([, fileStatus]) => fileStatus !== 'ok')
+                    .map(([file, fileStatus]) => `${file} (${fileStatus})`);
+                console.error(`❌ ${net}: ${problems.join(', ')}`);
+            }
+            console.error(`❌ Face recognition models in ${modelsDir} are missing or unverified. Run: node scripts/setup-models.js --archive <weights archive>`);
+            return false;
+        }
+
         try {
-            const modelsDir = modelPath || this.modelPath;
-            
-            console.log('🤖 Loading face recognition models...');
-            
-            // Ensure models directory exists
-            await this.ensureModelsDirectory(modelsDir);
-            
-            // Load all required models
+            const { faceapi } = loadFaceApi();
             await Promise.all([
                 faceapi.nets.tinyFaceDetector.loadFromDisk(modelsDir),
                 faceapi.nets.faceLandmark68Net.loadFromDisk(modelsDir),
@@ -51,71 +84,6 @@ class FaceRecognitionUtils {
             
         } catch (error) {
             console.error('❌ Error loading face recognition models:', error);
-            this.modelsLoaded = false;
-            
-            // Fallback: try to download models if they don't exist
-            return await this.downloadModels(modelsDir);
-        }
-    }
-
-    /**
-     * Ensure models directory exists and create if necessary
-     * @param {string} modelsDir - Models directory path
-     */
-    async ensureModelsDirectory(modelsDir) {
-        try {
-            await fs.mkdir(modelsDir, { recursive: true });
-        } catch (error) {
-            if (error.code !== 'EEXIST') {
-                throw error;
-            }
-        }
-    }
-
-    /**
-     * Download models from CDN if not available locally
-     * @param {string} modelsDir - Models directory path
-     * @returns {Promise<boolean>} - Success status
-     */
-    async downloadModels(modelsDir) {
-        try {
-            console.log('📥 Downloading face recognition models...');
-            
-            const modelFiles = [
-                'tiny_face_detector_model-weights_manifest.json',
-                'tiny_face_detector_model-shard1',
-                'face_landmark_68_model-weights_manifest.json',
-                'face_landmark_68_model-shard1',
-                'face_recognition_model-weights_manifest.json',
-                'face_recognition_model-shard1',
-                'face_recognition_model-shard2',
-                'face_expression_model-weights_manifest.json',
-                'face_expression_model-shard1',
-                'age_gender_model-weights_manifest.json',
-                'age_gender_model-shard1'
-            ];
-            
-            // Note: In a real implementation, you would download these files
-            // For now, we'll use the CDN versions directly
-            console.log('⚠️  Using CDN models. For production, download models locally.');
-            
-            // Use web models as fallback
-            const MODEL_URL = 'https://cdn.jsdelivr.net/npm/face-api.js@0.22.2/weights';
-            
-            await Promise.all([
-                faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
-                faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL),
-                faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL),
-                faceapi.nets.faceExpressionNet.loadFromUri(MODEL_URL),
-                faceapi.nets.ageGenderNet.loadFromUri(MODEL_URL)
-            ]);
-            
-            this.modelsLoaded = true;
-            console.log('✅ Face recognition models loaded from CDN');
-            return true;
-            
-        } catch (error) {
-            console.error('❌ Failed to download face recognition models:', error);
             return false;
         }
     }
@@ -131,12 +99,14 @@ class FaceRecognitionUtils {
         }
 
         try {
-            // Convert buffer to Image
-            const img = await faceapi.fetchImage(imageBuffer);
+            const { faceapi, loadImage } = loadFaceApi();
+
+            // Decode the buffer with node-canvas (fetchImage only works with URLs)
+            const img = await loadImage(imageBuffer);
             
             // Detect faces with landmarks and descriptors
             const detections = await faceapi
-                .detectAllFaces(img, this.detectionOptions)
+                .detectAllFaces(img, new faceapi.TinyFaceDetectorOptions(this.detectionOptions))
                 .withFaceLandmarks()
                 .withFaceDescriptors()
                 .withFaceExpressions()
@@ -180,12 +150,67 @@ class FaceRecognitionUtils {
     }
 
     /**
-     * Compare two face descriptors and return similarity
+     * Turn an uploaded photo into a face descriptor:
+     * validateImage -> enhanceForRecognition -> extractDescriptor
+     * @param {Buffer} imageBuffer - JPEG or PNG image buffer
+     * @returns {Promise<Object>} - { success, descriptor, image } or { success: false, noFace, errors }
+     */
+    async descriptorFromImage(imageBuffer) {
+        const { imageProcessingUtils } = require('./imageProcessing');
+        const validation = await imageProcessingUtils.validateImage(imageBuffer);
+        if (validation.isValid && !this.uploadFormats.includes(validation.format)) {
+            validation.isValid = false;
+            validation.errors.push(`Unsupported format: ${validation.format} (JPEG or PNG only)`);
+        }
+        if (!validation.isValid) {
+            return { success: false, noFace: false, errors: validation.errors };
+        }
+
+        const enhanced = await imageProcessingUtils.enhanceForRecognition(imageBuffer);
+
+        try {
+            const descriptor = await this.extractDescriptor(enhanced);
+            return {
+                success: true,
+                descriptor,
+                image: { format: validation.format, width: validation.width, height: validation.height }
+            };
+        } catch (error) {
+            if (error.message === 'No face detected in the image') {
+                return { success: false, noFace: true, errors: [error.message] };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Recognition threshold for a school (settings.recognitionThreshold, else the default)
+     * @param {Object} settings - db.settings (optional)
+     * @returns {number} - Maximum distance accepted as a match
+     */
+    getThreshold(settings = null) {
+        return settings?.recognitionThreshold ?? this.recognitionThreshold;
+    }
+
+    /**
+     * Calibrated confidence for a raw distance, using the school's fitted curve
+     * (settings.confidenceCalibration) or the default one
+     * @param {number} distance - Descriptor distance
+     * @param {Object} settings - db.settings (optional)
+     * @returns {number} - Confidence 0-100
+     */
+    toConfidence(distance, settings = null) {
+        return calibrationUtils.toConfidence(distance, settings?.confidenceCalibration);
+    }
+
+    /**
+     * Compare two face descriptors
      * @param {Array} descriptor1 - First face descriptor
      * @param {Array} descriptor2 - Second face descriptor
-     * @returns {Object} - Match result with distance and similarity
+     * @param {Object} settings - db.settings for the threshold and calibration (optional)
+     * @returns {Object} - { distance, confidence, isMatch, threshold }
      */
-    compareFaces(descriptor1, descriptor2) {
+    compareFaces(descriptor1, descriptor2, settings = null) {
         try {
             if (!Array.isArray(descriptor1) || !Array.isArray(descriptor2)) {
                 throw new Error('Descriptors must be arrays');
@@ -195,21 +220,14 @@ class FaceRecognitionUtils {
                 throw new Error('Face descriptors must be 128-dimensional arrays');
             }
 
-            // Calculate Euclidean distance
             const distance = this.euclideanDistance(descriptor1, descriptor2);
-            
-            // Calculate similarity percentage (0-100%)
-            const similarity = Math.max(0, (1 - distance) * 100);
-            
-            // Determine if faces match based on threshold
-            const isMatch = distance < this.recognitionThreshold;
+            const threshold = this.getThreshold(settings);
 
             return {
                 distance: distance,
-                similarity: Math.round(similarity * 100) / 100,
-                isMatch: isMatch,
-                confidence: Math.round(similarity),
-                threshold: this.recognitionThreshold
+                confidence: this.toConfidence(distance, settings),
+                isMatch: distance < threshold,
+                threshold: threshold
             };
 
         } catch (error) {
@@ -227,13 +245,13 @@ class FaceRecognitionUtils {
      */
     findBestMatch(targetDescriptor, storedDescriptors, threshold = null) {
         try {
-            const useThreshold = threshold || this.recognitionThreshold;
+            const useThreshold = threshold ?? this.recognitionThreshold;
             let bestMatch = null;
             let minDistance = Infinity;
             let bestIndex = -1;
 
             storedDescriptors.forEach((storedDescriptor, index) => {
-                const comparison = this.compareFaces(targetDescriptor, storedDescriptor);
+                const comparison = this.compareFaces(targetDescriptor, storedDescriptor, { recognitionThreshold: useThreshold });
                 
                 if (comparison.distance < minDistance && comparison.distance < useThreshold) {
                     minDistance = comparison.distance;
@@ -256,6 +274,223 @@ class FaceRecognitionUtils {
         }
     }
 
+    /**
+     * Identify which active student a descriptor belongs to. Used by identification,
+     * attendance and meal marking so all of them agree on who a face belongs to.
+     * Searches the in-memory descriptor index (rebuilt if db.students was reloaded).
+     * When another student is within settings.ambiguityMargin of the closest one the match
+     * is ambiguous (siblings, twins): nobody is matched and both candidates are returned.
+     * @param {Array} inputDescriptor - Descriptor to identify
+     * @param {Array} students - Student records (db.students)
+     * @param {Object} settings - db.settings (threshold, ambiguity margin, calibration)
+     * @returns {Object} - { matchedStudent, distance, confidence, runnerUpDistance, threshold, ambiguous };
+     *                     distance and confidence describe the nearest face even when it is
+     *                     not a match (null if nobody is enrolled), runnerUpDistance the
+     *                     next-closest student (null if there is none)
+     */
+    matchStudent(inputDescriptor, students, settings = null) {
+        descriptorIndex.sync(students);
+        const [nearest, runnerUp] = descriptorIndex.search(inputDescriptor, { k: 2 });
+        return this.resolveMatch(nearest, runnerUp, settings);
+    }
+
+    /**
+     * Match every face in one camera frame (group attendance). Each face is matched like
+     * matchStudent; since one student cannot appear twice in a frame, when several faces
+     * match the same student only the closest keeps the match and the others get
+     * sameStudentAs (the index of that face) instead
+     * @param {Array} descriptors - One descriptor per face
+     * @param {Array} students - Student records (db.students)
+     * @param {Object} settings - db.settings (threshold, ambiguity margin, calibration)
+     * @returns {Array} - One matchStudent result per face, plus sameStudentAs (or null)
+     */
+    matchStudents(descriptors, students, settings = null) {
+        descriptorIndex.sync(students);
+        const results = descriptorIndex.searchBatch(descriptors, { k: 2 })
+            .map(([nearest, runnerUp]) => ({ ...this.resolveMatch(nearest, runnerUp, settings), sameStudentAs: null }));
+
+        const closestFace = new Map();
+        results.forEach((result, index) => {
+            if (!result.matchedStudent) return;
+            const other = closestFace.get(result.matchedStudent);
+            if (other === undefined || result.distance < results[other].distance) {
+                closestFace.set(result.matchedStudent, index);
+            }
+        });
+        results.forEach((result, index) => {
+            const closest = closestFace.get(result.matchedStudent);
+            if (result.matchedStudent && closest !== index) {
+                result.matchedStudent = null;
+                result.sameStudentAs = closest;
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Turn the two nearest students from the index into a match result
+     * @param {Object} nearest - { student, distance } or undefined
+     * @param {Object} runnerUp - { student, distance } or undefined
+     * @param {Object} settings - db.settings
+     * @returns {Object} - See matchStudent
+     */
+    resolveMatch(nearest, runnerUp, settings) {
+        const threshold = this.getThreshold(settings);
+        const margin = settings?.ambiguityMargin ?? 0;
+        const result = {
+            matchedStudent: null,
+            distance: nearest ? nearest.distance : null,
+            confidence: nearest ? this.toConfidence(nearest.distance, settings) : 0,
+            runnerUpDistance: runnerUp ? runnerUp.distance : null,
+            threshold,
+            ambiguous: null
+        };
+
+        if (!nearest || nearest.distance >= threshold) {
+            return result;
+        }
+
+        if (runnerUp && margin > 0 && runnerUp.distance - nearest.distance < margin) {
+            result.ambiguous = {
+                margin,
+                candidates: [nearest, runnerUp].map(candidate => ({
+                    student: candidate.student,
+                    distance: candidate.distance,
+                    confidence: this.toConfidence(candidate.distance, settings)
+                }))
+            };
+            return result;
+        }
+
+        result.matchedStudent = nearest.student;
+        return result;
+    }
+
+    /**
+     * Active students who would be recognized as any of the given descriptors
+     * (a new registration of a child who is already enrolled under another ID)
+     * @param {Array} descriptors - Descriptors of the face being registered
+     * @param {Array} students - Student records (db.students)
+     * @param {Object} settings - db.settings (threshold and calibration)
+     * @returns {Array} - [{ student, distance, confidence }] closest first
+     */
+    findDuplicates(descriptors, students, settings = null) {
+        const threshold = this.getThreshold(settings);
+        const closest = new Map();
+
+        descriptorIndex.sync(students);
+        for (const descriptor of descriptors) {
+            for (const { student, distance } of descriptorIndex.search(descriptor, { k: 5, maxDistance: threshold })) {
+                if (!closest.has(student) || distance < closest.get(student)) closest.set(student, distance);
+            }
+        }
+
+        return [...closest]
+            .map(([student, distance]) => ({ student, distance, confidence: this.toConfidence(distance, settings) }))
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Check a registration's captures before they are enrolled. A capture fails when it is not
+     * a valid descriptor, when it is nearly identical to an earlier capture (no pose variety),
+     * or when it is not within the threshold of at least half of the other captures (a
+     * different person)
+     * @param {Array} descriptors - Captured descriptors
+     * @param {Object} settings - db.settings (threshold and enrollmentQuality)
+     * @param {Array} imageNumbers - Number shown for each capture (defaults to 1, 2, ...)
+     * @returns {Object} - { passed, problems, images: [{ image, ok, issues }] }
+     */
+    checkEnrollment(descriptors, settings = null, imageNumbers = null) {
+        const options = enrollmentQualityUtils.getOptions(settings);
+        const threshold = this.getThreshold(settings);
+        const numberOf = i => imageNumbers?.[i] ?? i + 1;
+
+        const images = descriptors.map((descriptor, i) => ({
+            image: numberOf(i),
+            ok: true,
+            issues: this.validateDescriptor(descriptor) ? [] : ['Not a valid face descriptor (128 finite numbers).']
+        }));
+        const usable = descriptors
+            .map((descriptor, i) => ({ descriptor, i }))
+            .filter(({ i }) => images[i].issues.length === 0);
+
+        for (const { descriptor, i } of usable) {
+            const distances = usable
+                .filter(other => other.i !== i)
+                .map(other => ({ i: other.i, distance: calibrationUtils.distance(descriptor, other.descriptor) }));
+
+            // Only the later of two identical captures is flagged, so retaking it is enough
+            const same = distances.find(other => other.i < i && other.distance < options.minVariety);
+            if (same) {
+                images[i].issues.push(`Nearly identical to image ${numberOf(same.i)}. Turn the head slightly and capture again.`);
+            }
+
+            const similar = distances.filter(other => other.distance < threshold).length;
+            if (distances.length > 0 && similar < Math.ceil(distances.length / 2)) {
+                images[i].issues.push('Does not look like the same person as the other images.');
+            }
+        }
+
+        const problems = [];
+        if (descriptors.length < options.minCaptures) {
+            problems.push(`At least ${options.minCaptures} captures are needed; ${descriptors.length} received.`);
+        }
+
+        for (const image of images) image.ok = image.issues.length === 0;
+
+        return {
+            passed: problems.length === 0 && images.every(image => image.ok),
+            problems,
+            images
+        };
+    }
+
+    /**
+     * Pick the candidate staff confirmed from an ambiguous match
+     * @param {Object} ambiguous - Ambiguous result from matchStudent
+     * @param {string} studentId - Student ID chosen by staff
+     * @returns {Object|null} - { student, distance, confidence } or null if not a candidate
+     */
+    confirmCandidate(ambiguous, studentId) {
+        if (!ambiguous || !studentId) return null;
+        return ambiguous.candidates.find(c => c.student.studentId.toLowerCase() === String(studentId).toLowerCase()) || null;
+    }
+
+    /**
+     * Candidate list safe to send to the client
+     * @param {Object} ambiguous - Ambiguous result from matchStudent
+     * @returns {Array} - [{ studentId, name, class, distance, confidence }]
+     */
+    toPublicCandidates(ambiguous) {
+        return ambiguous.candidates.map(({ student, distance, confidence }) => ({
+            studentId: student.studentId,
+            name: student.name,
+            class: student.class,
+            distance,
+            confidence
+        }));
+    }
+
+    /**
+     * Record an ambiguous match, or staff's confirmation of one, in logs.recognition (mutates db)
+     * @param {Object} db - Database document
+     * @param {Object} event - { context, ambiguous, confirmedStudentId, performedBy }
+     */
+    logAmbiguity(db, { context, ambiguous, confirmedStudentId = null, performedBy }) {
+        db.logs.recognition = db.logs.recognition || [];
+        db.logs.recognition.push({
+            id: `rec_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            action: confirmedStudentId ? 'ambiguous.confirmed' : 'ambiguous',
+            context,
+            candidates: ambiguous.candidates.map(c => ({ studentId: c.student.studentId, distance: c.distance, confidence: c.confidence })),
+            margin: ambiguous.margin,
+            confirmedStudentId,
+            performedBy,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     /**
      * Calculate Euclidean distance between two descriptors
      * @param {Array} desc1 - First descriptor
@@ -290,8 +525,8 @@ class FaceRecognitionUtils {
             return false;
         }
 
-        // Check if all elements are numbers
-        return descriptor.every(value => typeof value === 'number' && !isNaN(value));
+        // Check if all elements are finite numbers
+        return descriptor.every(value => typeof value === 'number' && Number.isFinite(value));
     }
 
     /**
@@ -356,6 +591,7 @@ class FaceRecognitionUtils {
      */
     createFaceMatcher(labeledDescriptors) {
         try {
+            const { faceapi } = loadFaceApi();
             const faceMatcher = new faceapi.FaceMatcher(labeledDescriptors, this.recognitionThreshold);
             
             console.log(`🎭 Face matcher created with ${labeledDescriptors.length} labeled faces`);
@@ -383,6 +619,7 @@ class FaceRecognitionUtils {
     getSystemInfo() {
         return {
             modelsLoaded: this.modelsLoaded,
+            modelStatus: this.modelStatus,
             recognitionThreshold: this.recognitionThreshold,
             modelPath: this.modelPath,
             detectionOptions: {
@@ -416,8 +653,14 @@ module.exports = {
     loadModels: (modelPath) => faceRecognitionUtils.loadModels(modelPath),
     detectFaces: (imageBuffer) => faceRecognitionUtils.detectFaces(imageBuffer),
     extractDescriptor: (imageBuffer) => faceRecognitionUtils.extractDescriptor(imageBuffer),
-    compareFaces: (desc1, desc2) => faceRecognitionUtils.compareFaces(desc1, desc2),
+    descriptorFromImage: (imageBuffer) => faceRecognitionUtils.descriptorFromImage(imageBuffer),
+    compareFaces: (desc1, desc2, settings) => faceRecognitionUtils.compareFaces(desc1, desc2, settings),
     findBestMatch: (target, stored, threshold) => faceRecognitionUtils.findBestMatch(target, stored, threshold),
+    matchStudent: (descriptor, students, settings) => faceRecognitionUtils.matchStudent(descriptor, students, settings),
+    matchStudents: (descriptors, students, settings) => faceRecognitionUtils.matchStudents(descriptors, students, settings),
+    findDuplicates: (descriptors, students, settings) => faceRecognitionUtils.findDuplicates(descriptors, students, settings),
+    checkEnrollment: (descriptors, settings, imageNumbers) => faceRecognitionUtils.checkEnrollment(descriptors, settings, imageNumbers),
+    toConfidence: (distance, settings) => faceRecognitionUtils.toConfidence(distance, settings),
     validateDescriptor: (descriptor) => faceRecognitionUtils.validateDescriptor(descriptor),
     setThreshold: (threshold) => faceRecognitionUtils.setRecognitionThreshold(threshold),
     getSystemInfo: () => faceRecognitionUtils.getSystemInfo(),
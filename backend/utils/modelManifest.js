@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_PATH = path.join(__dirname, '..', 'models-manifest.json');
+
+/**
+ * Model Manifest Utilities
+ * backend/models-manifest.json lists the weight files of every face-api.js net with its
+ * SHA-256 checksum; the face-api.js 0.22.2 weights ship pinned. A file added to the manifest
+ * with a checksum of null is "unpinned": it is reported but never treated as valid until
+ * scripts/setup-models.js --pin records the hash of a trusted copy.
+ */
+class ModelManifestUtils {
+    constructor() {
+        this.manifestPath = MANIFEST_PATH;
+    }
+
+    /**
+     * Read the manifest
+     * @returns {Object} - { faceApiVersion, nets: { netName: { file: sha256|null } } }
+     */
+    load() {
+        return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+    }
+
+    /**
+     * Write the manifest (used when pinning checksums)
+     * @param {Object} manifest - Manifest document
+     */
+    save(manifest) {
+        fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    }
+
+    /**
+     * SHA-256 of a file
+     * @param {string} filePath - File to hash
+     * @returns {string} - Hex digest
+     */
+    hashFile(filePath) {
+        return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    }
+
+    /**
+     * Check one weight file against its pinned checksum
+     * @param {string} filePath - File to check
+     * @param {string|null} expected - Pinned SHA-256, or null
+     * @returns {Object} - { present, valid, status, sha256 }
+     */
+    checkFile(filePath, expected) {
+        if (!fs.existsSync(filePath)) {
+            return { present: false, valid: false, status: 'missing', sha256: null };
+        }
+
+        const sha256 = this.hashFile(filePath);
+        if (!expected) {
+            return { present: true, valid: false, status: 'unpinned', sha256 };
+        }
+        return sha256 === expected
+            ? { present: true, valid: true, status: 'ok', sha256 }
+            : { present: true, valid: false, status: 'checksum-mismatch', sha256 };
+    }
+
+    /**
+     * Report which nets in a models directory are present and valid
+     * @param {string} modelsDir - Directory holding the weight files
+     * @returns {Object} - { directory, valid, nets: { netName: { present, valid, files } } }
+     */
+    checkDirectory(modelsDir) {
+        const manifest = this.load();
+        const nets = {};
+
+        for (const [net, files] of Object.entries(manifest.nets)) {
+            const results = {};
+            for (const [file, expected] of Object.entries(files)) {
+                results[file] = this.checkFile(path.join(modelsDir, file), expected).status;
+            }
+
+            const statuses = Object.values(results);
+            nets[net] = {
+                present: statuses.every(status => status !== 'missing'),
+                valid: statuses.every(status => status === 'ok'),
+                files: results
+            };
+        }
+
+        return {
+            directory: modelsDir,
+            faceApiVersion: manifest.faceApiVersion,
+            valid: Object.values(nets).every(net => net.valid),
+            nets
+        };
+    }
+}
+
+// Export singleton instance
+const modelManifestUtils = new ModelManifestUtils();
+
+module.exports = {
+    ModelManifestUtils,
+    modelManifestUtils,
+    MANIFEST_PATH,
+
+    // Convenience functions
+    loadManifest: () => modelManifestUtils.load(),
+    checkModels: (modelsDir) => modelManifestUtils.checkDirectory(modelsDir)
+};
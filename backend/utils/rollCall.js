@@ -0,0 +1,281 @@
+const { scheduleUtils } = require('./schedule');
+
+const ROLL_CALL_STATUSES = ['present', 'late', 'excused', 'absent', 'pending'];
+
+/**
+ * Roll-Call Utilities
+ * Joins the active roster against attendance records for one day's attendance sessions.
+ * A student without a record is "pending" while the session is open or upcoming and
+ * "absent" once it has ended. Finalizing a closed session stores those absences as
+ * attendance records (status: 'absent') so later reports no longer depend on the roster.
+ */
+class RollCallUtils {
+    /**
+     * Parse a YYYY-MM-DD string as midday local time (safe across DST changes)
+     * @param {string} date - Date string
+     * @returns {Date} - Date object
+     */
+    parseDate(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day, 12);
+    }
+
+    /**
+     * Get the attendance sessions scheduled on a date
+     * @param {Object} db - Database document
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Array} - Sessions sorted by start time
+     */
+    getSessions(db, date) {
+        return scheduleUtils.getDay(db.settings.schedule, this.parseDate(date)).sessions
+            .filter(session => session.type === 'attendance');
+    }
+
+    /**
+     * Work out whether a session is upcoming, open or closed on the server clock
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} session - Schedule session
+     * @param {Date} now - Current time
+     * @returns {string} - upcoming, open or closed
+     */
+    getSessionState(date, session, now = new Date()) {
+        const today = scheduleUtils.toLocalDate(now);
+        const time = now.toTimeString().slice(0, 5);
+
+        if (date < today) return 'closed';
+        if (date > today) return 'upcoming';
+        if (time < session.start) return 'upcoming';
+        if (time < session.end) return 'open';
+        return 'closed';
+    }
+
+    /**
+     * Check whether an attendance record belongs to a session
+     * (records from before the schedule existed only carry the session name)
+     * @param {Object} record - Attendance record
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} session - Schedule session
+     * @returns {boolean} - True if the record is for that session
+     */
+    recordMatches(record, date, session) {
+        if (record.date !== date || record.sessionType === 'meal') return false;
+        return record.sessionId ? record.sessionId === session.id : record.session === session.name;
+    }
+
+    /**
+     * Check whether a session has already been finalized
+     * @param {Object} db - Database document
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} sessionId - Session id
+     * @returns {Object|null} - The finalize log entry, or null
+     */
+    getFinalization(db, date, sessionId) {
+        return (db.logs?.attendance || []).find(entry =>
+            entry.action === 'finalize' && entry.date === date && entry.sessionId === sessionId
+        ) || null;
+    }
+
+    /**
+     * Students expected at a session: active students enrolled by that date,
+     * plus anyone who already has a record for it
+     * @param {Object} db - Database document
+     * @param {string} date - YYYY-MM-DD
+     * @param {Array} records - The session's attendance records
+     * @param {string} studentClass - Optional class filter
+     * @returns {Array} - Student records
+     */
+    getRoster(db, date, records, studentClass = null) {
+        const recorded = new Set(records.map(r => r.studentId));
+        const roster = new Map();
+
+        for (const student of db.students) {
+            if (studentClass && String(student.class) !== String(studentClass)) continue;
+
+            const enrolled = !student.createdAt || scheduleUtils.toLocalDate(new Date(student.createdAt)) <= date;
+            if (!(student.status === 'active' && enrolled) && !recorded.has(student.studentId)) continue;
+
+            // A re-registered student ID has several records; keep the active one
+            const existing = roster.get(student.studentId);
+            if (!existing || (existing.status !== 'active' && student.status === 'active')) {
+                roster.set(student.studentId, student);
+            }
+        }
+
+        return [...roster.values()];
+    }
+
+    /**
+     * Build the roll call for one session
+     * @param {Object} db - Database document
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} session - Schedule session
+     * @param {Object} options - { studentClass, now }
+     * @returns {Object} - Session summary with per-class student lists
+     */
+    buildSession(db, date, session, { studentClass = null, now = new Date() } = {}) {
+        const records = db.attendance.filter(record => this.recordMatches(record, date, session));
+        const byStudent = new Map(records.map(record => [record.studentId, record]));
+        const state = this.getSessionState(date, session, now);
+        const finalization = this.getFinalization(db, date, session.id);
+
+        const classes = {};
+        for (const student of this.getRoster(db, date, records, studentClass)) {
+            const record = byStudent.get(student.studentId);
+            const status = record ? record.status : (state === 'closed' ? 'absent' : 'pending');
+            const key = String(student.class);
+
+            classes[key] = classes[key] || { class: key, students: [], counts: this.emptyCounts() };
+            classes[key].students.push({
+                studentId: student.studentId,
+                name: student.name,
+                status,
+                timestamp: record && record.status !== 'absent' ? record.timestamp : null,
+                reason: record?.reason || null,
+                minutesLate: record?.minutesLate || 0,
+                checkOutTimestamp: record?.checkOutTimestamp || null,
+                minutesAttended: record?.minutesAttended ?? null,
+                earlyDeparture: Boolean(record?.earlyDeparture),
+                // Offline scan synced after the roll call was finalized (may replace an absence)
+                lateSync: Boolean(record?.lateSync || record?.checkOutLateSync),
+                recorded: Boolean(record)
+            });
+            if (record?.earlyDeparture) classes[key].counts.earlyDeparture++;
+            classes[key].counts[status]++;
+            classes[key].counts.total++;
+        }
+
+        const classList = Object.values(classes).sort((a, b) => Number(a.class) - Number(b.class));
+        classList.forEach(c => c.students.sort((a, b) => a.name.localeCompare(b.name)));
+
+        const counts = this.emptyCounts();
+        for (const c of classList) {
+            for (const key of Object.keys(counts)) counts[key] += c.counts[key];
+        }
+
+        return {
+            id: session.id,
+            name: session.name,
+            start: session.start,
+            end: session.end,
+            state,
+            finalized: Boolean(finalization),
+            finalizedAt: finalization?.timestamp || null,
+            counts,
+            classes: classList
+        };
+    }
+
+    emptyCounts() {
+        return { total: 0, present: 0, late: 0, excused: 0, absent: 0, pending: 0, earlyDeparture: 0 };
+    }
+
+    /**
+     * Build the roll call for a date
+     * @param {Object} db - Database document
+     * @param {Object} options - { date, sessionId, studentClass, now }
+     * @returns {Object|null} - { date, sessions } or null if the session id is not scheduled that day
+     */
+    build(db, { date, sessionId = null, studentClass = null, now = new Date() }) {
+        const sessions = this.getSessions(db, date).filter(s => !sessionId || s.id === sessionId);
+        if (sessionId && sessions.length === 0) return null;
+
+        return {
+            date,
+            class: studentClass || null,
+            sessions: sessions.map(session => this.buildSession(db, date, session, { studentClass, now }))
+        };
+    }
+
+    /**
+     * Store absent records for everyone without a record in a closed session (mutates db)
+     * @param {Object} db - Database document
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} session - Schedule session
+     * @param {string} finalizedBy - Username, or "system" for the automatic sweep
+     * @returns {Object} - { absentCount, alreadyFinalized }
+     */
+    finalizeSession(db, date, session, finalizedBy) {
+        if (this.getFinalization(db, date, session.id)) {
+            return { absentCount: 0, alreadyFinalized: true };
+        }
+
+        const records = db.attendance.filter(record => this.recordMatches(record, date, session));
+        const recorded = new Set(records.map(r => r.studentId));
+        const now = new Date().toISOString();
+        let absentCount = 0;
+
+        for (const student of this.getRoster(db, date, records)) {
+            if (recorded.has(student.studentId)) continue;
+
+            db.attendance.push({
+                id: `att_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                studentId: student.studentId,
+                studentName: student.name,
+                studentClass: student.class,
+                timestamp: now,
+                date,
+                session: session.name,
+                sessionId: session.id,
+                sessionType: 'attendance',
+                status: 'absent',
+                markedBy: finalizedBy,
+                createdAt: now
+            });
+            absentCount++;
+        }
+
+        db.logs.attendance.push({
+            id: `log_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            action: 'finalize',
+            date,
+            sessionId: session.id,
+            session: session.name,
+            absentCount,
+            performedBy: finalizedBy,
+            timestamp: now
+        });
+
+        return { absentCount, alreadyFinalized: false };
+    }
+
+    /**
+     * Finalize every closed, unfinalized session in the last few days (mutates db)
+     * @param {Object} db - Database document
+     * @param {Date} now - Current time
+     * @param {number} days - How many days back to look, including today (covers a server
+     *                        that was off overnight or over a weekend)
+     * @returns {Array} - [{ date, sessionId, absentCount }] for sessions finalized now
+     */
+    sweep(db, now = new Date(), days = 3) {
+        const finalized = [];
+
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset, 12);
+            const date = scheduleUtils.toLocalDate(day);
+
+            for (const session of this.getSessions(db, date)) {
+                if (this.getSessionState(date, session, now) !== 'closed') continue;
+                if (this.getFinalization(db, date, session.id)) continue;
+
+                const { absentCount } = this.finalizeSession(db, date, session, 'system');
+                finalized.push({ date, sessionId: session.id, absentCount });
+            }
+        }
+
+        return finalized;
+    }
+}
+
+// Export singleton instance
+const rollCallUtils = new RollCallUtils();
+
+module.exports = {
+    RollCallUtils,
+    rollCallUtils,
+    ROLL_CALL_STATUSES,
+
+    // Convenience functions
+    buildRollCall: (db, options) => rollCallUtils.build(db, options),
+    finalizeSession: (db, date, session, finalizedBy) => rollCallUtils.finalizeSession(db, date, session, finalizedBy),
+    sweep: (db, now, days) => rollCallUtils.sweep(db, now, days)
+};
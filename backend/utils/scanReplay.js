@@ -0,0 +1,73 @@
+// Offline kiosks replay queued scans once the server is reachable again
+const MAX_REPLAY_AGE_HOURS = 24;      // older queued scans are refused
+const MAX_CLOCK_SKEW_MS = 2 * 60000;  // a kiosk clock may run this far ahead of the server
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+/**
+ * Scan Replay Utilities
+ * Attendance and meal scans may carry a client-generated idempotencyKey. The key is saved on
+ * the record the scan created, so sending the same scan again (a queued scan replayed after
+ * the response was lost) returns that record instead of marking twice.
+ *
+ * Scans queued while the kiosk was offline are sent with offline: true. Their own timestamp
+ * then decides the session instead of the server clock, as long as it is recent. Only enrolled
+ * kiosk devices may send them: anyone else could backdate a scan into a session that is over.
+ */
+class ScanReplayUtils {
+    /**
+     * Read the idempotency key and offline flag of a scan request
+     * @param {Object} body - Request body ({ idempotencyKey, offline, timestamp })
+     * @param {Object} options - { device: req.device, now: server time the request arrived }
+     * @returns {Object} - { key, offline, scanTime } or { error, expired, forbidden }
+     */
+    parse(body, { device = null, now = new Date() } = {}) {
+        const { idempotencyKey, offline, timestamp } = body || {};
+
+        if (idempotencyKey !== undefined && !(typeof idempotencyKey === 'string' && IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey))) {
+            return { error: 'idempotencyKey must be 8-100 letters, digits, "-" or "_"' };
+        }
+        if (offline !== undefined && typeof offline !== 'boolean') {
+            return { error: 'offline must be true or false' };
+        }
+
+        const key = idempotencyKey || null;
+        if (!offline) {
+            return { key, offline: false, scanTime: now };
+        }
+
+        if (!device) {
+            return { error: 'Only enrolled kiosk devices may send offline scans', forbidden: true };
+        }
+
+        const scanTime = new Date(timestamp);
+        if (isNaN(scanTime.getTime()) || scanTime - now > MAX_CLOCK_SKEW_MS) {
+            return { error: 'Offline scans need the timestamp at which they were made' };
+        }
+        if (now - scanTime > MAX_REPLAY_AGE_HOURS * 3600000) {
+            return { error: `Offline scans older than ${MAX_REPLAY_AGE_HOURS} hours are not accepted`, expired: true };
+        }
+
+        // A slightly fast kiosk clock must not open the next session early
+        return { key, offline: true, scanTime: scanTime > now ? now : scanTime };
+    }
+
+    /**
+     * The record an earlier send of this scan created
+     * @param {Array} records - db.attendance or db.meals
+     * @param {string} key - Idempotency key
+     * @returns {Object|null} - Record, or null if the scan is new
+     */
+    findRecorded(records, key) {
+        if (!key) return null;
+        return records.find(record => record.idempotencyKey === key || record.checkOutIdempotencyKey === key) || null;
+    }
+}
+
+// Export singleton instance
+const scanReplayUtils = new ScanReplayUtils();
+
+module.exports = {
+    ScanReplayUtils,
+    scanReplayUtils,
+    MAX_REPLAY_AGE_HOURS
+};
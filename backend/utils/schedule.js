@@ -0,0 +1,289 @@
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SESSION_TYPES = ['attendance', 'meal'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Attendance rules used when the schedule does not set them
+const DEFAULT_RULES = {
+    graceMinutes: 10,          // scans later than start + grace are marked late
+    minCheckoutMinutes: 30,    // a second scan this long after check-in is a check-out
+    checkoutWindowMinutes: 30, // check-outs are still accepted this long after the session ends
+    earlyLeaveMinutes: 15      // check-outs more than this before the end are early departures
+};
+
+/**
+ * School Schedule Utilities
+ * Resolves which session is open at a given moment from the timetables in settings.schedule:
+ *   timetables - named lists of sessions ({ id, name, type, start, end })
+ *   weekdays   - weekday -> timetable name (null for no school)
+ *   dates      - YYYY-MM-DD -> timetable name or null, for half-days and holidays
+ *   graceMinutes, minCheckoutMinutes, checkoutWindowMinutes, earlyLeaveMinutes
+ *              - late/check-out rules; a session may override graceMinutes
+ * All times are the server's local time.
+ */
+class ScheduleUtils {
+    /**
+     * Build a schedule from the flat session settings written by older versions
+     * (morningSessionStart, mealTimeStart, ...); also used for new databases
+     * @param {Object} settings - Database settings
+     * @returns {Object} - Schedule configuration
+     */
+    buildFromSettings(settings = {}) {
+        const morning = {
+            id: 'morning',
+            name: 'Morning Session',
+            type: 'attendance',
+            start: settings.morningSessionStart || '08:00',
+            end: settings.morningSessionEnd || '12:00'
+        };
+
+        return {
+            timetables: {
+                full: [
+                    morning,
+                    {
+                        id: 'meal',
+                        name: 'Mid-Day Meal',
+                        type: 'meal',
+                        start: settings.mealTimeStart || '12:00',
+                        end: settings.mealTimeEnd || '13:00'
+                    },
+                    {
+                        id: 'afternoon',
+                        name: 'Afternoon Session',
+                        type: 'attendance',
+                        start: settings.afternoonSessionStart || '13:00',
+                        end: settings.afternoonSessionEnd || '17:00'
+                    }
+                ],
+                half: [{ ...morning }]
+            },
+            weekdays: {
+                monday: 'full',
+                tuesday: 'full',
+                wednesday: 'full',
+                thursday: 'full',
+                friday: 'full',
+                saturday: 'half',
+                sunday: null
+            },
+            dates: {},
+            ...DEFAULT_RULES
+        };
+    }
+
+    /**
+     * Get the late/check-out rules for a session, falling back to the defaults
+     * @param {Object} schedule - Schedule configuration
+     * @param {Object} session - Schedule session (optional)
+     * @returns {Object} - { graceMinutes, minCheckoutMinutes, checkoutWindowMinutes, earlyLeaveMinutes }
+     */
+    getRules(schedule, session = null) {
+        const rules = {};
+        for (const key of Object.keys(DEFAULT_RULES)) {
+            rules[key] = schedule?.[key] ?? DEFAULT_RULES[key];
+        }
+        if (session && session.graceMinutes !== undefined) rules.graceMinutes = session.graceMinutes;
+        return rules;
+    }
+
+    /**
+     * Minutes since midnight for an HH:MM time
+     * @param {string} time - HH:MM
+     * @returns {number} - Minutes
+     */
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Validate a schedule configuration
+     * @param {Object} schedule - Schedule configuration
+     * @returns {string[]} - Validation errors (empty when valid)
+     */
+    validate(schedule) {
+        const errors = [];
+
+        if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+            return ['Schedule must be an object.'];
+        }
+
+        const timetables = schedule.timetables;
+        if (!timetables || typeof timetables !== 'object' || Array.isArray(timetables) || Object.keys(timetables).length === 0) {
+            errors.push('At least one timetable is required.');
+            return errors;
+        }
+
+        for (const [name, sessions] of Object.entries(timetables)) {
+            if (!Array.isArray(sessions)) {
+                errors.push(`Timetable "${name}" must be a list of sessions.`);
+                continue;
+            }
+
+            const ids = new Set();
+            sessions.forEach((session, index) => {
+                const label = `Timetable "${name}" session ${index + 1}`;
+
+                if (!session || typeof session.id !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(session.id)) {
+                    errors.push(`${label}: id must be 1-32 letters, numbers, - or _.`);
+                    return;
+                }
+                if (ids.has(session.id)) errors.push(`${label}: duplicate id "${session.id}".`);
+                ids.add(session.id);
+
+                if (typeof session.name !== 'string' || session.name.trim().length === 0) errors.push(`${label}: name is required.`);
+                if (!SESSION_TYPES.includes(session.type)) errors.push(`${label}: type must be ${SESSION_TYPES.join(' or ')}.`);
+                if (session.graceMinutes !== undefined && !this.isMinutes(session.graceMinutes)) {
+                    errors.push(`${label}: graceMinutes must be a whole number from 0 to 240.`);
+                }
+                if (!TIME_PATTERN.test(session.start) || !TIME_PATTERN.test(session.end)) {
+                    errors.push(`${label}: start and end must be HH:MM.`);
+                } else if (session.start >= session.end) {
+                    errors.push(`${label}: start must be before end.`);
+                }
+            });
+
+            // Sessions of the same type may not overlap, or a scan could belong to two of them
+            for (const type of SESSION_TYPES) {
+                const sorted = sessions
+                    .filter(s => s && s.type === type && TIME_PATTERN.test(s.start) && TIME_PATTERN.test(s.end))
+                    .sort((a, b) => a.start.localeCompare(b.start));
+                for (let i = 1; i < sorted.length; i++) {
+                    if (sorted[i].start < sorted[i - 1].end) {
+                        errors.push(`Timetable "${name}": ${type} sessions "${sorted[i - 1].id}" and "${sorted[i].id}" overlap.`);
+                    }
+                }
+            }
+        }
+
+        for (const key of Object.keys(DEFAULT_RULES)) {
+            if (schedule[key] !== undefined && !this.isMinutes(schedule[key])) {
+                errors.push(`${key} must be a whole number from 0 to 240.`);
+            }
+        }
+
+        const weekdays = schedule.weekdays || {};
+        for (const [day, timetable] of Object.entries(weekdays)) {
+            if (!WEEKDAYS.includes(day)) errors.push(`Unknown weekday "${day}".`);
+            else if (timetable !== null && !(timetable in timetables)) errors.push(`Weekday ${day} uses unknown timetable "${timetable}".`);
+        }
+
+        const dates = schedule.dates || {};
+        for (const [date, timetable] of Object.entries(dates)) {
+            if (!DATE_PATTERN.test(date)) errors.push(`Date override "${date}" must be YYYY-MM-DD.`);
+            else if (timetable !== null && !(timetable in timetables)) errors.push(`Date ${date} uses unknown timetable "${timetable}".`);
+        }
+
+        return errors;
+    }
+
+    isMinutes(value) {
+        return Number.isInteger(value) && value >= 0 && value <= 240;
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD in server local time
+     * @param {Date} date - Date to format
+     * @returns {string} - Local date string
+     */
+    toLocalDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Get the timetable that applies on a given day
+     * @param {Object} schedule - Schedule configuration
+     * @param {Date} date - Any moment on that day
+     * @returns {Object} - { date, weekday, timetable, sessions }
+     */
+    getDay(schedule, date = new Date()) {
+        const localDate = this.toLocalDate(date);
+        const weekday = WEEKDAYS[date.getDay()];
+        const dates = schedule.dates || {};
+
+        const timetable = localDate in dates ? dates[localDate] : (schedule.weekdays?.[weekday] ?? null);
+        const sessions = timetable ? [...(schedule.timetables?.[timetable] || [])] : [];
+
+        return {
+            date: localDate,
+            weekday,
+            timetable,
+            sessions: sessions.sort((a, b) => a.start.localeCompare(b.start))
+        };
+    }
+
+    /**
+     * Find the session open at a given moment
+     * @param {Object} schedule - Schedule configuration
+     * @param {Date} at - Moment to check
+     * @param {string} type - Optional session type (attendance or meal)
+     * @returns {Object|null} - Open session with the day's date and timetable, or null
+     */
+    getCurrentSession(schedule, at = new Date(), type = null) {
+        const day = this.getDay(schedule, at);
+        const time = at.toTimeString().slice(0, 5);
+
+        const session = day.sessions.find(s =>
+            (!type || s.type === type) && time >= s.start && time < s.end
+        );
+
+        return session ? { ...session, date: day.date, timetable: day.timetable } : null;
+    }
+
+    /**
+     * Find a session that ended within the last few minutes (for late check-outs)
+     * @param {Object} schedule - Schedule configuration
+     * @param {Date} at - Moment to check
+     * @param {string} type - Optional session type
+     * @param {number} minutes - How recently the session must have ended
+     * @returns {Object|null} - Most recently ended session, or null
+     */
+    getRecentlyEndedSession(schedule, at = new Date(), type = null, minutes = 0) {
+        const day = this.getDay(schedule, at);
+        const now = at.getHours() * 60 + at.getMinutes();
+
+        const session = day.sessions
+            .filter(s => (!type || s.type === type) && this.toMinutes(s.end) <= now && now < this.toMinutes(s.end) + minutes)
+            .pop();
+        return session ? { ...session, date: day.date, timetable: day.timetable } : null;
+    }
+
+    /**
+     * Find the next session starting later on the same day
+     * @param {Object} schedule - Schedule configuration
+     * @param {Date} at - Moment to check
+     * @param {string} type - Optional session type
+     * @returns {Object|null} - Next session, or null
+     */
+    getNextSession(schedule, at = new Date(), type = null) {
+        const day = this.getDay(schedule, at);
+        const time = at.toTimeString().slice(0, 5);
+
+        const session = day.sessions.find(s => (!type || s.type === type) && s.start > time);
+        return session ? { ...session, date: day.date, timetable: day.timetable } : null;
+    }
+}
+
+// Export singleton instance
+const scheduleUtils = new ScheduleUtils();
+
+module.exports = {
+    ScheduleUtils,
+    scheduleUtils,
+    WEEKDAYS,
+    SESSION_TYPES,
+    DEFAULT_RULES,
+
+    // Convenience functions
+    buildFromSettings: (settings) => scheduleUtils.buildFromSettings(settings),
+    validateSchedule: (schedule) => scheduleUtils.validate(schedule),
+    getDay: (schedule, date) => scheduleUtils.getDay(schedule, date),
+    getCurrentSession: (schedule, at, type) => scheduleUtils.getCurrentSession(schedule, at, type),
+    getNextSession: (schedule, at, type) => scheduleUtils.getNextSession(schedule, at, type),
+    getRecentlyEndedSession: (schedule, at, type, minutes) => scheduleUtils.getRecentlyEndedSession(schedule, at, type, minutes),
+    getRules: (schedule, session) => scheduleUtils.getRules(schedule, session),
+    toLocalDate: (date) => scheduleUtils.toLocalDate(date)
+};
@@ -0,0 +1,544 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS students (
+        id TEXT PRIMARY KEY,
+        student_id TEXT NOT NULL,
+        status TEXT,
+        class TEXT,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_students_student_id ON students (student_id, status);
+
+    CREATE TABLE IF NOT EXISTS descriptors (
+        student_record_id TEXT NOT NULL REFERENCES students (id) ON DELETE CASCADE,
+        idx INTEGER NOT NULL,
+        descriptor BLOB NOT NULL,
+        PRIMARY KEY (student_record_id, idx)
+    );
+
+    CREATE TABLE IF NOT EXISTS attendance (
+        id TEXT PRIMARY KEY,
+        student_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        session TEXT,
+        status TEXT,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_student_date_session ON attendance (student_id, date, session);
+    CREATE INDEX IF NOT EXISTS idx_attendance_date ON attendance (date, session);
+
+    CREATE TABLE IF NOT EXISTS meals (
+        id TEXT PRIMARY KEY,
+        student_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_meals_student_date ON meals (student_id, date);
+
+    CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS logs (
+        channel TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (channel, position)
+    );
+
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+`;
+
+// Array collections with their own table, and the ID prefix used for records without an ID
+const LIST_TABLES = { students: 'stu', attendance: 'att', meals: 'meal' };
+
+// Top-level document keys with a dedicated table; everything else goes to meta
+const TABLE_KEYS = [...Object.keys(LIST_TABLES), 'settings', 'logs'];
+
+/**
+ * SQLite Driver
+ * Stores the database document in normalized tables (students, descriptors,
+ * attendance, meals, settings, logs). Only rows that changed since the last
+ * load or write are touched, so a scan no longer rewrites the whole dataset.
+ * Top-level keys without a dedicated table are kept as JSON in the meta table.
+ */
+class SqliteDriver {
+    constructor(dbPath) {
+        this.name = 'sqlite';
+        this.dbPath = dbPath;
+        this.db = null;
+        this.statements = null;
+        this.dataVersion = null;
+        this.snapshot = null;
+    }
+
+    /**
+     * Open the database file and create the schema on first use
+     * @returns {Object} - better-sqlite3 connection
+     */
+    open() {
+        if (this.db) return this.db;
+
+        const Database = require('better-sqlite3');
+
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+        this.db.prepare('INSERT OR IGNORE INTO meta (key, value) VALUES (?, ?)')
+            .run('__schemaVersion', JSON.stringify(SCHEMA_VERSION));
+        this.statements = this.prepareStatements(this.db);
+
+        return this.db;
+    }
+
+    prepareStatements(db) {
+        // New rows use a plain INSERT so an ID collision fails loudly instead of overwriting
+        const listStatements = (table, columns) => {
+            const names = ['id', ...columns.map(c => c[0]), 'position', 'data'];
+            const values = ['@key', ...columns.map(c => `@${c[1]}`), '@position', '@data'];
+            const insert = `INSERT INTO ${table} (${names.join(', ')}) VALUES (${values.join(', ')})`;
+            const updates = names.slice(1).map(name => `${name} = excluded.${name}`).join(', ');
+
+            return {
+                insert: db.prepare(insert),
+                upsert: db.prepare(`${insert} ON CONFLICT (id) DO UPDATE SET ${updates}`),
+                remove: db.prepare(`DELETE FROM ${table} WHERE id = @key`)
+            };
+        };
+
+        const logInsert = 'INSERT INTO logs (channel, position, data) VALUES (@channel, @position, @data)';
+
+        return {
+            students: listStatements('students', [['student_id', 'studentId'], ['status', 'status'], ['class', 'class']]),
+            attendance: listStatements('attendance', [['student_id', 'studentId'], ['date', 'date'], ['session', 'session'], ['status', 'status']]),
+            meals: listStatements('meals', [['student_id', 'studentId'], ['date', 'date']]),
+            settings: {
+                upsert: db.prepare('INSERT INTO settings (key, value) VALUES (@key, @data) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+                remove: db.prepare('DELETE FROM settings WHERE key = @key')
+            },
+            logs: {
+                insert: db.prepare(logInsert),
+                upsert: db.prepare(`${logInsert} ON CONFLICT (channel, position) DO UPDATE SET data = excluded.data`),
+                remove: db.prepare('DELETE FROM logs WHERE channel = @channel AND position = @position')
+            },
+            meta: {
+                upsert: db.prepare('INSERT INTO meta (key, value) VALUES (@key, @data) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+                remove: db.prepare('DELETE FROM meta WHERE key = @key')
+            },
+            deleteDescriptors: db.prepare('DELETE FROM descriptors WHERE student_record_id = ?'),
+            insertDescriptor: db.prepare('INSERT INTO descriptors (student_record_id, idx, descriptor) VALUES (?, ?, ?)'),
+            markInitialized: db.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES ('__initialized', ?)")
+        };
+    }
+
+    async exists() {
+        if (!fs.existsSync(this.dbPath)) return false;
+        const row = this.open().prepare("SELECT value FROM meta WHERE key = '__initialized'").get();
+        return Boolean(row);
+    }
+
+    /**
+     * Check whether another connection (e.g. the migration command) changed the file
+     * @returns {Promise<boolean>} - True if the cached copy is out of date
+     */
+    async isStale() {
+        if (!this.db) return false;
+        return this.db.pragma('data_version', { simple: true }) !== this.dataVersion;
+    }
+
+    async load() {
+        const db = this.open();
+        const document = {};
+
+        const descriptorsByStudent = new Map();
+        for (const row of db.prepare('SELECT student_record_id, descriptor FROM descriptors ORDER BY student_record_id, idx').all()) {
+            if (!descriptorsByStudent.has(row.student_record_id)) descriptorsByStudent.set(row.student_record_id, []);
+            descriptorsByStudent.get(row.student_record_id).push(blobToDescriptor(row.descriptor));
+        }
+
+        document.students = db.prepare('SELECT id, data FROM students ORDER BY position').all().map(row => {
+            const student = JSON.parse(row.data);
+            student.faceData = { ...(student.faceData || {}), descriptors: descriptorsByStudent.get(row.id) || [] };
+            return student;
+        });
+
+        document.attendance = db.prepare('SELECT data FROM attendance ORDER BY position').all().map(row => JSON.parse(row.data));
+        document.meals = db.prepare('SELECT data FROM meals ORDER BY position').all().map(row => JSON.parse(row.data));
+
+        document.settings = {};
+        for (const row of db.prepare('SELECT key, value FROM settings').all()) {
+            document.settings[row.key] = JSON.parse(row.value);
+        }
+
+        document.logs = {};
+        for (const row of db.prepare('SELECT channel, data FROM logs ORDER BY channel, position').all()) {
+            (document.logs[row.channel] = document.logs[row.channel] || []).push(JSON.parse(row.data));
+        }
+
+        for (const row of db.prepare("SELECT key, value FROM meta WHERE key NOT LIKE '\\_\\_%' ESCAPE '\\'").all()) {
+            document[row.key] = JSON.parse(row.value);
+        }
+
+        this.snapshot = takeSnapshot(document);
+        this.dataVersion = db.pragma('data_version', { simple: true });
+        return document;
+    }
+
+    /**
+     * Compare the document against the last loaded/written state
+     * Rows are compared structurally, so in-place edits are picked up without
+     * re-serializing the whole dataset on every update
+     * @param {Object} data - Database document
+     * @param {Array<string>} tables - Limit the comparison to these tables (optional)
+     * @returns {Object|null} - Rows to insert/update/delete per table, or null when nothing changed
+     */
+    diff(data, tables = null) {
+        const previous = this.snapshot || takeSnapshot({});
+        const include = table => !tables || tables.includes(table);
+        const changes = {};
+
+        const addChanges = (table, result) => {
+            if (result.rows.length > 0 || result.deletes.length > 0) {
+                changes[table] = result;
+            }
+        };
+
+        for (const [table, prefix] of Object.entries(LIST_TABLES)) {
+            if (include(table)) {
+                addChanges(table, diffList(table, data[table] || [], previous[table], prefix));
+            }
+        }
+
+        if (include('logs')) {
+            const channels = new Set([...Object.keys(data.logs || {}), ...Object.keys(previous.logs)]);
+            const logChanges = { rows: [], deletes: [] };
+            for (const channel of channels) {
+                const result = diffLog(channel, data.logs?.[channel] || [], previous.logs[channel] || []);
+                logChanges.rows.push(...result.rows);
+                logChanges.deletes.push(...result.deletes);
+            }
+            addChanges('logs', logChanges);
+        }
+
+        if (include('settings')) {
+            addChanges('settings', diffMap('settings', data.settings || {}, previous.settings));
+        }
+        if (include('meta')) {
+            const meta = {};
+            for (const [key, value] of Object.entries(data)) {
+                if (!TABLE_KEYS.includes(key) && value !== undefined) meta[key] = value;
+            }
+            addChanges('meta', diffMap('meta', meta, previous.meta));
+        }
+
+        return Object.keys(changes).length > 0 ? changes : null;
+    }
+
+    /**
+     * Apply changed rows in a single transaction
+     * @param {Object} data - Database document
+     * @param {Object} changes - Result of diff(); only meta rows are re-checked when given
+     */
+    async write(data, changes = null) {
+        const db = this.open();
+        const statements = this.statements;
+
+        // statistics.lastUpdated is stamped after the store's diff, so refresh the meta rows
+        const plan = changes ? { ...changes, ...(this.diff(data, ['meta']) || {}) } : (this.diff(data) || {});
+
+        db.transaction(() => {
+            // Deletes first so a replaced record cannot trip the unique indexes
+            for (const [table, { deletes }] of Object.entries(plan)) {
+                for (const row of deletes) {
+                    statements[table].remove.run(row.params);
+                }
+            }
+
+            for (const [table, { rows }] of Object.entries(plan)) {
+                for (const row of rows) {
+                    const statement = row.isNew && statements[table].insert ? statements[table].insert : statements[table].upsert;
+                    statement.run(toParams(row));
+
+                    if (table === 'students') {
+                        statements.deleteDescriptors.run(row.key);
+                        (row.value.faceData?.descriptors || []).forEach((descriptor, idx) => {
+                            statements.insertDescriptor.run(row.key, idx, descriptorToBlob(descriptor));
+                        });
+                    }
+                }
+            }
+
+            statements.markInitialized.run(JSON.stringify(new Date().toISOString()));
+        })();
+
+        this.applyToSnapshot(data, plan);
+        this.dataVersion = db.pragma('data_version', { simple: true });
+    }
+
+    /**
+     * Record written rows in the snapshot (deep copies, so later in-place edits show up in diff)
+     * @param {Object} data - Database document that was written
+     * @param {Object} plan - Rows written per table
+     */
+    applyToSnapshot(data, plan) {
+        if (!this.snapshot) {
+            this.snapshot = takeSnapshot(data);
+            return;
+        }
+
+        for (const [table, { rows, deletes, rebuilt }] of Object.entries(plan)) {
+            if (LIST_TABLES[table]) {
+                if (rebuilt) {
+                    this.snapshot[table] = snapshotList(data[table] || [], LIST_TABLES[table]);
+                    continue;
+                }
+                for (const row of rows) {
+                    this.snapshot[table][row.position] = { key: row.key, value: cloneValue(row.value) };
+                }
+            } else if (table === 'logs') {
+                for (const row of deletes) {
+                    this.snapshot.logs[row.params.channel].length = row.params.position;
+                }
+                for (const row of rows) {
+                    const channel = this.snapshot.logs[row.params.channel] = this.snapshot.logs[row.params.channel] || [];
+                    channel[row.position] = { key: row.key, value: cloneValue(row.value) };
+                }
+            } else {
+                for (const row of deletes) this.snapshot[table].delete(row.key);
+                for (const row of rows) this.snapshot[table].set(row.key, cloneValue(row.value));
+            }
+        }
+    }
+
+    reset() {
+        this.snapshot = null;
+        this.dataVersion = null;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements = null;
+        }
+        this.reset();
+    }
+}
+
+function recordKey(record, position, prefix) {
+    return record.id || `${prefix}_pos_${position}`;
+}
+
+/**
+ * Diff an array collection against its snapshot
+ * Collections are append-mostly, so rows are compared position by position;
+ * if records were removed or reordered it falls back to matching by key
+ */
+function diffList(table, items, before, prefix) {
+    const rows = [];
+
+    if (items.length >= before.length) {
+        let aligned = true;
+        for (let i = 0; i < before.length; i++) {
+            const key = recordKey(items[i], i, prefix);
+            if (before[i].key !== key) {
+                aligned = false;
+                break;
+            }
+            if (!deepEqual(before[i].value, items[i])) {
+                rows.push({ table, key, position: i, value: items[i], params: { key } });
+            }
+        }
+
+        if (aligned) {
+            for (let i = before.length; i < items.length; i++) {
+                const key = recordKey(items[i], i, prefix);
+                rows.push({ table, key, position: i, value: items[i], params: { key }, isNew: true });
+            }
+            return { rows, deletes: [] };
+        }
+    }
+
+    // Slow path: match rows by key
+    const previous = new Map(before.map((entry, position) => [entry.key, { ...entry, position }]));
+    const seen = new Set();
+    rows.length = 0;
+
+    items.forEach((value, position) => {
+        let key = recordKey(value, position, prefix);
+        // Older records may share an ID (IDs used to be timestamp-only); keep both rows
+        if (seen.has(key)) key = `${key}#${position}`;
+        seen.add(key);
+
+        const old = previous.get(key);
+        if (!old || old.position !== position || !deepEqual(old.value, value)) {
+            rows.push({ table, key, position, value, params: { key } });
+        }
+    });
+
+    const deletes = [];
+    for (const [key] of previous) {
+        if (!seen.has(key)) deletes.push({ table, key, params: { key } });
+    }
+
+    return { rows, deletes, rebuilt: true };
+}
+
+// Diff one log channel; log rows are keyed by position
+function diffLog(channel, entries, before) {
+    const rows = [];
+    const deletes = [];
+
+    entries.forEach((value, position) => {
+        const old = before[position];
+        if (!old || !deepEqual(old.value, value)) {
+            rows.push({ table: 'logs', key: `${channel}:${position}`, position, value, params: { channel, position }, isNew: !old });
+        }
+    });
+
+    // Deleted from the end backwards, so the snapshot can be truncated in order
+    for (let position = before.length - 1; position >= entries.length; position--) {
+        deletes.push({ table: 'logs', key: `${channel}:${position}`, params: { channel, position } });
+    }
+
+    return { rows, deletes };
+}
+
+// Diff a key/value table (settings, meta)
+function diffMap(table, current, before) {
+    const rows = [];
+    const deletes = [];
+
+    for (const [key, value] of Object.entries(current)) {
+        if (!before.has(key) || !deepEqual(before.get(key), value)) {
+            rows.push({ table, key, position: 0, value, params: { key } });
+        }
+    }
+    for (const key of before.keys()) {
+        if (!(key in current)) deletes.push({ table, key, params: { key } });
+    }
+
+    return { rows, deletes };
+}
+
+// Build the named parameters for a row's insert/upsert statement
+function toParams(row) {
+    const { table, key, position, value } = row;
+
+    switch (table) {
+        case 'students': {
+            const { descriptors, ...faceData } = value.faceData || {};
+            return {
+                key,
+                studentId: value.studentId,
+                status: value.status || null,
+                class: value.class != null ? String(value.class) : null,
+                position,
+                data: JSON.stringify({ ...value, faceData })
+            };
+        }
+        case 'attendance':
+            return {
+                key,
+                studentId: value.studentId,
+                date: value.date,
+                session: value.session || null,
+                status: value.status || null,
+                position,
+                data: JSON.stringify(value)
+            };
+        case 'meals':
+            return { key, studentId: value.studentId, date: value.date, position, data: JSON.stringify(value) };
+        case 'logs':
+            return { channel: row.params.channel, position, data: JSON.stringify(value) };
+        default:
+            return { key, data: JSON.stringify(value) };
+    }
+}
+
+function snapshotList(items, prefix) {
+    return items.map((value, position) => ({ key: recordKey(value, position, prefix), value: cloneValue(value) }));
+}
+
+// Snapshot of every row as loaded or written, used as the baseline for diff()
+function takeSnapshot(document) {
+    const snapshot = { logs: {}, settings: new Map(), meta: new Map() };
+
+    for (const [table, prefix] of Object.entries(LIST_TABLES)) {
+        snapshot[table] = snapshotList(document[table] || [], prefix);
+    }
+    for (const [channel, entries] of Object.entries(document.logs || {})) {
+        snapshot.logs[channel] = (entries || []).map((value, position) => ({ key: `${channel}:${position}`, value: cloneValue(value) }));
+    }
+    for (const [key, value] of Object.entries(document.settings || {})) {
+        snapshot.settings.set(key, cloneValue(value));
+    }
+    for (const [key, value] of Object.entries(document)) {
+        if (!TABLE_KEYS.includes(key) && value !== undefined) snapshot.meta.set(key, cloneValue(value));
+    }
+
+    return snapshot;
+}
+
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Structural equality for JSON-compatible values
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+
+    if (Array.isArray(a)) {
+        if (!Array.isArray(b) || a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i] && !deepEqual(a[i], b[i])) return false;
+        }
+        return true;
+    }
+    if (Array.isArray(b)) return false;
+
+    // undefined properties are dropped by JSON, so treat them like missing keys
+    let count = 0;
+    for (const key in a) {
+        const value = a[key];
+        if (value === undefined) continue;
+        count++;
+        const other = b[key];
+        if (value !== other && !deepEqual(value, other)) return false;
+    }
+    for (const key in b) {
+        if (b[key] !== undefined) count--;
+    }
+    return count === 0;
+}
+
+// Descriptors are stored as raw float64 so values round-trip exactly
+function descriptorToBlob(descriptor) {
+    return Buffer.from(Float64Array.from(descriptor).buffer);
+}
+
+function blobToDescriptor(blob) {
+    // Copy first: the Buffer may not be 8-byte aligned within its pool
+    return Array.from(new Float64Array(Uint8Array.from(blob).buffer));
+}
+
+module.exports = {
+    SqliteDriver,
+    SCHEMA_VERSION
+};
@@ -0,0 +1,147 @@
+const { descriptorIndex } = require('./descriptorIndex');
+const { calibrationUtils, DEFAULT_THRESHOLD } = require('./calibration');
+const { scheduleUtils } = require('./schedule');
+
+// settings.templateAdaptation overrides any of these
+const DEFAULT_ADAPTATION = {
+    enabled: false,
+    minConfidence: 90,   // calibrated confidence a scan needs
+    minMargin: 0.1,      // distance gap to the next-closest student
+    maxPerStudent: 5     // recent templates kept; the oldest is dropped
+};
+
+/**
+ * Template Adaptation Utilities
+ * Children's faces change through the year, so confident scans can be kept as "recent"
+ * templates in faceData.adaptiveDescriptors and matched alongside the enrollment
+ * descriptors. faceData.descriptors is never touched.
+ *
+ * A scan is only kept when it is confident, clearly ahead of every other student and still
+ * within the threshold of an enrollment descriptor, so the recent templates cannot drift
+ * away from the enrolled face one step at a time. At most one is kept per student per day.
+ */
+class TemplateAdaptationUtils {
+    /**
+     * Adaptation options for a school
+     * @param {Object} settings - db.settings
+     * @returns {Object} - DEFAULT_ADAPTATION merged with settings.templateAdaptation
+     */
+    getOptions(settings) {
+        return { ...DEFAULT_ADAPTATION, ...(settings?.templateAdaptation || {}) };
+    }
+
+    /**
+     * Validate a (partial) settings.templateAdaptation value
+     * @param {Object} options - Value from a settings update
+     * @returns {Array} - Error messages
+     */
+    validate(options) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            return ['Template adaptation must be an object.'];
+        }
+
+        const errors = [];
+        const unknown = Object.keys(options).filter(key => !(key in DEFAULT_ADAPTATION));
+        if (unknown.length > 0) errors.push(`Unknown template adaptation options: ${unknown.join(', ')}.`);
+
+        if ('enabled' in options && typeof options.enabled !== 'boolean') {
+            errors.push('templateAdaptation.enabled must be true or false.');
+        }
+        if ('minConfidence' in options && !(typeof options.minConfidence === 'number' && options.minConfidence >= 50 && options.minConfidence <= 100)) {
+            errors.push('templateAdaptation.minConfidence must be a number from 50 to 100.');
+        }
+        if ('minMargin' in options && !(typeof options.minMargin === 'number' && options.minMargin >= 0 && options.minMargin <= 1)) {
+            errors.push('templateAdaptation.minMargin must be a number from 0 to 1.');
+        }
+        if ('maxPerStudent' in options && !(Number.isInteger(options.maxPerStudent) && options.maxPerStudent >= 1 && options.maxPerStudent <= 20)) {
+            errors.push('templateAdaptation.maxPerStudent must be a whole number from 1 to 20.');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Keep a matched scan as a recent template if it qualifies (mutates the student and
+     * keeps the descriptor index current)
+     * @param {Object} db - Database document
+     * @param {Object} scan - { student, descriptor, match (from matchStudent), context, now }
+     * @returns {Object|null} - The stored template, or null if the scan was not kept
+     */
+    consider(db, { student, descriptor, match, context, now = new Date() }) {
+        const options = this.getOptions(db.settings);
+        // Scans staff had to confirm (ambiguous) are never kept
+        if (!options.enabled || match.ambiguous || match.matchedStudent !== student) return null;
+
+        if (match.confidence < options.minConfidence) return null;
+        if (match.runnerUpDistance !== null && match.runnerUpDistance - match.distance < options.minMargin) return null;
+
+        const threshold = db.settings?.recognitionThreshold ?? DEFAULT_THRESHOLD;
+        const enrolledDistance = Math.min(...(student.faceData?.descriptors || [])
+            .filter(d => d && d.length === descriptor.length)
+            .map(d => calibrationUtils.distance(descriptor, d)));
+        if (!(enrolledDistance < threshold)) return null;
+
+        const recent = student.faceData.adaptiveDescriptors || [];
+        const date = scheduleUtils.toLocalDate(now);
+        if (recent.some(template => template.date === date)) return null;
+
+        const template = {
+            id: `tpl_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            descriptor: Array.from(descriptor),
+            date,
+            addedAt: now.toISOString(),
+            context,
+            distance: match.distance,
+            confidence: match.confidence,
+            enrolledDistance
+        };
+
+        student.faceData.adaptiveDescriptors = [...recent, template].slice(-options.maxPerStudent);
+        descriptorIndex.update(student);
+
+        return template;
+    }
+
+    /**
+     * Recent templates without their descriptors, oldest first
+     * @param {Object} student - Student record
+     * @returns {Array} - [{ id, date, addedAt, context, distance, confidence, enrolledDistance }]
+     */
+    listTemplates(student) {
+        return (student.faceData?.adaptiveDescriptors || []).map(({ descriptor, ...details }) => details);
+    }
+
+    /**
+     * Roll back recent templates: all of them, or one template and every template added after it
+     * (mutates the student and keeps the descriptor index current)
+     * @param {Object} student - Student record
+     * @param {string} templateId - First template to remove (optional)
+     * @returns {Array|null} - Removed templates (without descriptors), or null if templateId is unknown
+     */
+    rollback(student, templateId = null) {
+        const recent = student.faceData?.adaptiveDescriptors || [];
+        const from = templateId ? recent.findIndex(template => template.id === templateId) : 0;
+        if (from === -1) return null;
+
+        const removed = recent.slice(from).map(({ descriptor, ...details }) => details);
+        if (removed.length > 0) {
+            student.faceData.adaptiveDescriptors = recent.slice(0, from);
+            descriptorIndex.update(student);
+        }
+
+        return removed;
+    }
+}
+
+// Export singleton instance
+const templateAdaptationUtils = new TemplateAdaptationUtils();
+
+module.exports = {
+    TemplateAdaptationUtils,
+    templateAdaptationUtils,
+    DEFAULT_ADAPTATION,
+
+    // Convenience functions
+    listTemplates: (student) => templateAdaptationUtils.listTemplates(student),
+    rollbackTemplates: (student, templateId) => templateAdaptationUtils.rollback(student, templateId)
+};
@@ -0,0 +1,92 @@
+// Shared API client: base URL and session token handling for all pages
+const API_BASE = resolveApiBase();
+const TOKEN_KEY = 'attendease.token';
+const USER_KEY = 'attendease.user';
+
+// Server address: APP_CONFIG.apiBase from js/config.js, else the server that served this page.
+// Pages opened from disk (file://) fall back to a server on this machine.
+function resolveApiBase() {
+    const configured = window.APP_CONFIG && window.APP_CONFIG.apiBase;
+    if (configured) return configured.replace(/\/+$/, '');
+    if (window.location.protocol === 'http:' || window.location.protocol === 'https:') return window.location.origin;
+    return 'http://localhost:3000';
+}
+
+// Get the stored session token (null when not logged in)
+function getAuthToken() {
+    return localStorage.getItem(TOKEN_KEY);
+}
+
+// Get the logged-in user ({ username, role, name }) or null
+function getCurrentUser() {
+    try {
+        return JSON.parse(localStorage.getItem(USER_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Store the session returned by /api/auth/login
+function saveSession(token, user) {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+}
+
+// Send the user to the login page, returning here afterwards
+function redirectToLogin() {
+    const next = encodeURIComponent(window.location.pathname.split('/').pop() || 'index.html');
+    window.location.href = `login.html?next=${next}`;
+}
+
+// Fetch an API path with the session token attached
+async function apiFetch(path, options = {}) {
+    const token = getAuthToken();
+    const headers = { ...(options.headers || {}) };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const response = await fetch(`${API_BASE}${path}`, { ...options, headers });
+
+    // Session missing, expired or revoked: log in again
+    if (response.status === 401 && !path.startsWith('/api/auth/login')) {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(USER_KEY);
+        redirectToLogin();
+    }
+
+    return response;
+}
+
+// Ask staff which student an ambiguous scan (siblings, twins) belongs to.
+// Kiosks cannot confirm, so they always get null.
+function chooseAmbiguousCandidate(result) {
+    const user = getCurrentUser();
+    if (!user || user.role === 'kiosk' || !Array.isArray(result.candidates)) return null;
+
+    const list = result.candidates
+        .map((c, i) => `${i + 1}. ${c.name} (${c.studentId}, class ${c.class}, ${c.confidence}% confidence)`)
+        .join('\n');
+    const answer = prompt(`${result.message}\n\n${list}\n\nEnter the number of the student in front of the camera:`);
+    const candidate = result.candidates[Number(answer) - 1];
+    return candidate ? candidate.studentId : null;
+}
+
+// Describe an unresolved ambiguous scan for the status area
+function describeAmbiguousScan(result) {
+    const names = (result.candidates || []).map(c => `${c.name} (${c.studentId})`).join(' or ');
+    return `Could be ${names}. Please ask a staff member to confirm.`;
+}
+
+// End the session and go back to the login page
+function logout() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    window.location.href = 'login.html';
+}
+
+window.API_BASE = API_BASE;
+window.apiFetch = apiFetch;
+window.getCurrentUser = getCurrentUser;
+window.saveSession = saveSession;
+window.logout = logout;
+window.chooseAmbiguousCandidate = chooseAmbiguousCandidate;
+window.describeAmbiguousScan = describeAmbiguousScan;
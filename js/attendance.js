@@ -4,18 +4,37 @@ let canvas = null;
 let faceDetector = null;
 let isModelLoaded = false;
 let isScanning = false;
-let recognitionTimeout = null;
+let isSubmitting = false;
+let liveness = null; // LivenessCheck from js/liveness.js
+let continuousMode = false;
+let kioskQueue = null; // KioskQueue from js/kiosk.js
+let offlineQueue = null; // OfflineQueue from js/offline.js
+
+// Group mode: a classroom camera marks every face in the frame
+let groupMode = false;
+let groupTracks = new Map();   // track id -> { id, box, descriptor, liveness, state, label, lastSeen, retryAt }
+let groupRoster = new Map();   // studentId -> { studentName, studentClass, status, descriptor, time }
+let groupRosterKey = null;     // date and session the roster belongs to
+let groupSubmitting = false;
+let nextTrackId = 1;
+
+const GROUP_OPTIONS = {
+    minIou: 0.3,             // box overlap that continues a track in the next frame
+    trackTimeoutMs: 1500,    // a face unseen this long is forgotten
+    retryMs: 5000,           // unrecognized faces are tried again after this
+    rosterDistance: 0.4      // a face this close to a marked student is not sent again
+};
 let attendanceData = {
     totalStudents: 0,
     presentCount: 0,
     attendanceRate: 0
 };
 
-// Time slots configuration
-const timeSlots = {
-    morning: { start: '08:00', end: '12:00', name: 'Morning Session' },
-    afternoon: { start: '13:00', end: '17:00', name: 'Afternoon Session' },
-    meal: { start: '12:00', end: '13:00', name: 'Mid-Day Meal' }
+// Today's timetable from the server (/api/schedule); the server decides the session
+let scheduleData = {
+    day: { sessions: [] },
+    current: null,
+    next: null
 };
 
 // Initialize when page loads
@@ -26,9 +45,9 @@ document.addEventListener('DOMContentLoaded', async function() {
     updateDateTime();
     setInterval(updateDateTime, 1000);
     
-    // Update time slots
-    updateTimeSlots();
-    setInterval(updateTimeSlots, 60000); // Update every minute
+    // Load today's schedule and update time slots
+    await loadSchedule();
+    setInterval(loadSchedule, 60000); // Update every minute
     
     // Load face recognition models
     await loadFaceAPIModels();
@@ -38,6 +57,27 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Load recent attendance log
     await loadRecentAttendance();
+    
+    // Scans made while the server was unreachable are replayed from IndexedDB
+    // (enrolled kiosk devices only: the server refuses offline scans from other sessions)
+    if (typeof OfflineQueue !== 'undefined' && getCurrentUser()?.device) {
+        offlineQueue = new OfflineQueue('/api/attendance/mark', {
+            onSynced: () => {
+                loadAttendanceStats();
+                loadRecentAttendance();
+            }
+        });
+        offlineQueue.start();
+    }
+    
+    // Wall-mounted kiosks (?kiosk=1) start scanning by themselves, and again when the
+    // next session opens
+    if (typeof applyKioskLayout === 'function' && applyKioskLayout()) {
+        await startScanner();
+        setInterval(() => {
+            if (!isScanning) startScanner();
+        }, 60000);
+    }
 });
 
 // Update current date and time display
@@ -67,19 +107,35 @@ function updateDateTime() {
     if (currentDateEl) currentDateEl.textContent = dateString;
 }
 
-// Update time slot status based on current time
+// Load today's sessions and the currently open session from the server
+async function loadSchedule() {
+    try {
+        const response = await apiFetch('/api/schedule');
+        const result = await response.json();
+        
+        if (response.ok && result.success) {
+            scheduleData = result;
+        }
+    } catch (error) {
+        console.warn('Could not load schedule:', error);
+    }
+    
+    updateTimeSlots();
+}
+
+// Update time slot status from the server schedule
 function updateTimeSlots() {
-    const now = new Date();
-    const currentTime = now.toTimeString().substring(0, 5); // HH:MM format
+    const currentId = scheduleData.current ? scheduleData.current.id : null;
     
-    Object.keys(timeSlots).forEach(slotKey => {
-        const slot = timeSlots[slotKey];
-        const slotElement = document.querySelector(`[data-slot="${slotKey}"]`);
+    scheduleData.day.sessions.forEach(slot => {
+        const slotElement = document.querySelector(`[data-slot="${slot.id}"]`);
         
         if (slotElement) {
             const statusElement = slotElement.querySelector('.slot-status');
+            const timeElement = slotElement.querySelector('.slot-time');
+            if (timeElement) timeElement.textContent = `${slot.start} - ${slot.end}`;
             
-            if (currentTime >= slot.start && currentTime <= slot.end) {
+            if (slot.id === currentId) {
                 slotElement.classList.add('active');
                 if (statusElement) {
                     statusElement.textContent = 'Active';
@@ -102,8 +158,8 @@ async function loadFaceAPIModels() {
     try {
         updateRecognitionStatus('Loading AI recognition models...', 'loading');
         
-        // Use LOCAL models instead of CDN
-        const MODEL_URL = '/models';
+        // Use the models served by the AttendEase server instead of a CDN
+        const MODEL_URL = `${API_BASE}/models`;
         
         await faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL);
         await faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL);
@@ -123,7 +179,7 @@ async function loadFaceAPIModels() {
 // Load attendance statistics
 async function loadAttendanceStats() {
     try {
-        const response = await fetch('http://localhost:3000/api/attendance/stats');
+        const response = await apiFetch('/api/attendance/stats');
         const stats = await response.json();
         
         if (response.ok) {
@@ -150,11 +206,11 @@ function updateStatsDisplay() {
 // Load recent attendance log
 async function loadRecentAttendance() {
     try {
-        const response = await fetch('http://localhost:3000/api/attendance/recent');
+        const response = await apiFetch('/api/attendance/recent?limit=15');
         const recentData = await response.json();
         
-        if (response.ok && recentData.length > 0) {
-            updateAttendanceLog(recentData);
+        if (response.ok && recentData.success) {
+            updateAttendanceLog(recentData.records);
         }
     } catch (error) {
         console.warn('Could not load recent attendance:', error);
@@ -218,6 +274,32 @@ async function startScanner() {
         return;
     }
     
+    // Only scan while the server has an attendance session open
+    await loadSchedule();
+    if (!scheduleData.current || scheduleData.current.type !== 'attendance') {
+        const next = scheduleData.next && scheduleData.next.type === 'attendance' ? scheduleData.next : null;
+        updateRecognitionStatus(
+            next ? `No attendance session is open. ${next.name} starts at ${next.start}.` : 'No attendance session is open right now.',
+            'error'
+        );
+        return;
+    }
+    
+    // Without liveness checks a photo held up to the camera would be marked present
+    if (typeof LivenessCheck === 'undefined') {
+        updateRecognitionStatus('Liveness checks are not loaded (js/liveness.js). The scanner cannot start.', 'error');
+        return;
+    }
+    liveness = new LivenessCheck();
+    
+    const groupToggle = document.getElementById('groupMode');
+    groupMode = Boolean(groupToggle && groupToggle.checked);
+    groupTracks = new Map();
+    
+    // Continuous mode keeps the camera on for a line of students
+    continuousMode = typeof KioskQueue !== 'undefined' && isContinuousMode();
+    if (continuousMode && !kioskQueue) kioskQueue = new KioskQueue();
+    
     try {
         updateRecognitionStatus('Starting camera...', 'loading');
         
@@ -280,13 +362,20 @@ async function startFaceRecognition() {
                 const detections = await faceapi
                     .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions())
                     .withFaceLandmarks()
-                    .withFaceDescriptors();
+                    .withFaceDescriptors()
+                    .withFaceExpressions();
                 
                 // Clear canvas
                 const ctx = canvas.getContext('2d');
                 ctx.clearRect(0, 0, canvas.width, canvas.height);
                 
-                if (detections.length > 0) {
+                if (groupMode) {
+                    updateGroupTracks(detections);
+                    drawGroupOverlay();
+                    submitGroupFaces();
+                } else if (isSubmitting) {
+                    // Wait for the server before starting the next liveness check
+                } else if (detections.length > 0) {
                     // Draw face detection results
                     faceapi.draw.drawDetections(canvas, detections);
                     faceapi.draw.drawFaceLandmarks(canvas, detections);
@@ -294,30 +383,35 @@ async function startFaceRecognition() {
                     const detection = detections[0];
                     const confidence = detection.detection.score;
                     
-                    if (confidence > 0.7) {
-                        updateRecognitionStatus('Face detected! Verifying identity...', 'processing');
-                        
-                        // Clear any existing timeout
-                        if (recognitionTimeout) {
-                            clearTimeout(recognitionTimeout);
+                    const recent = continuousMode ? kioskQueue.recentFace(detection.descriptor) : null;
+                    
+                    if (recent) {
+                        // The student just scanned is still in front of the camera
+                        liveness.reset();
+                        updateRecognitionStatus(`${recent.studentName ? `${recent.studentName} is done` : 'Please step aside'}. Next student, please.`, 'info');
+                    } else if (confidence > 0.7) {
+                        // Only submit once this face has blinked and done its challenge
+                        if (liveness.update(detection)) {
+                            updateRecognitionStatus('Face detected! Verifying identity...', 'processing');
+                            const livenessResult = liveness.result();
+                            liveness.reset();
+                            
+                            isSubmitting = true;
+                            processAttendance(detection.descriptor, livenessResult).finally(() => {
+                                isSubmitting = false;
+                            });
+                        } else {
+                            updateRecognitionStatus(`Face detected. ${liveness.prompt}`, 'processing');
                         }
                         
-                        // Set timeout for recognition
-                        recognitionTimeout = setTimeout(() => {
-                            processAttendance(detection.descriptor);
-                        }, 2000); // Wait 2 seconds for stable detection
-                        
                     } else {
                         updateRecognitionStatus('Face detected but unclear. Please improve positioning.', 'warning');
                     }
                 } else {
                     updateRecognitionStatus('No face detected. Please position yourself in the frame.', 'warning');
                     
-                    // Clear timeout if no face detected
-                    if (recognitionTimeout) {
-                        clearTimeout(recognitionTimeout);
-                        recognitionTimeout = null;
-                    }
+                    // The next face starts a new liveness check
+                    liveness.reset();
                 }
             } catch (error) {
                 console.error('Face recognition error:', error);
@@ -334,34 +428,62 @@ async function startFaceRecognition() {
     recognizeFaces();
 }
 
-// Process attendance with face descriptor
-async function processAttendance(faceDescriptor) {
+// Process attendance with face descriptor and the liveness result for that face
+async function processAttendance(faceDescriptor, livenessResult) {
     try {
         updateRecognitionStatus('Processing attendance...', 'loading');
         
-        // Determine current session
-        const currentSession = getCurrentSession();
-        
-        // Prepare attendance data
+        // Prepare attendance data (the server works out the session); the idempotency key
+        // lets the server ignore the scan if it is sent again from the offline queue
         const attendancePayload = {
             faceDescriptor: Array.from(faceDescriptor),
             timestamp: new Date().toISOString(),
-            session: currentSession.name,
-            sessionType: currentSession.type
+            liveness: livenessResult,
+            ...(offlineQueue ? { idempotencyKey: OfflineQueue.newKey() } : {})
         };
         
         // Send to backend for recognition
-        const response = await fetch('http://localhost:3000/api/attendance/mark', {
+        const sendScan = payload => apiFetch('/api/attendance/mark', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(attendancePayload)
+            body: JSON.stringify(payload)
         });
         
-        const result = await response.json();
+        let response;
+        try {
+            response = await sendScan(attendancePayload);
+        } catch (error) {
+            if (!offlineQueue || !isNetworkError(error)) throw error;
+            
+            // Server unreachable: keep the scan and send it when the connection is back
+            await offlineQueue.add(attendancePayload);
+            updateRecognitionStatus('Server unreachable. Scan saved and will be sent when the connection is back.', 'warning');
+            if (continuousMode) {
+                kioskQueue.record({ descriptor: faceDescriptor, queued: true });
+                nextInQueue();
+            }
+            return;
+        }
         
-        if (response.ok) {
+        let result = await response.json();
+        
+        // Two students match closely: staff pick one, kiosks leave it to staff
+        if (result.ambiguous) {
+            const confirmStudentId = chooseAmbiguousCandidate(result);
+            if (confirmStudentId) {
+                response = await sendScan({ ...attendancePayload, confirmStudentId });
+                result = await response.json();
+            }
+        }
+        
+        if (result.ambiguous) {
+            showAttendanceError(describeAmbiguousScan(result));
+        } else if (result.outsideSession) {
+            showAttendanceError(result.message);
+            await loadSchedule();
+        } else if (response.ok) {
             if (result.recognized) {
                 await showAttendanceSuccess(result);
                 
@@ -369,10 +491,25 @@ async function processAttendance(faceDescriptor) {
                 await loadAttendanceStats();
                 await loadRecentAttendance();
                 
+                if (continuousMode) {
+                    kioskQueue.record({
+                        descriptor: faceDescriptor,
+                        studentName: result.studentName,
+                        studentId: result.studentId,
+                        detail: result.alreadyMarked ? 'Already marked'
+                            : result.checkedOut ? 'Checked out'
+                            : result.status === 'late' ? 'Late' : 'Present',
+                        ok: !result.alreadyMarked
+                    });
+                    nextInQueue();
+                    return;
+                }
+                
                 // Stop scanning after successful attendance
                 setTimeout(() => {
                     stopScanner();
                 }, 3000);
+                return;
                 
             } else {
                 showAttendanceError('Face not recognized. Please register first or try again.');
@@ -385,29 +522,209 @@ async function processAttendance(faceDescriptor) {
         console.error('Attendance processing error:', error);
         showAttendanceError('Failed to process attendance: ' + error.message);
     }
+    
+    // Not marked: in continuous mode the same face may try again after a short pause
+    if (continuousMode) {
+        kioskQueue.record({ descriptor: faceDescriptor });
+        nextInQueue();
+    }
 }
 
-// Get current active session
-function getCurrentSession() {
-    const now = new Date();
-    const currentTime = now.toTimeString().substring(0, 5);
-    
-    for (const [key, slot] of Object.entries(timeSlots)) {
-        if (currentTime >= slot.start && currentTime <= slot.end) {
-            return {
-                type: key,
-                name: slot.name,
-                active: true
+// Continuous mode: clear the result after a moment and wait for the next student
+function nextInQueue() {
+    setTimeout(() => {
+        if (!isScanning) return;
+        const resultsContainer = document.getElementById('attendanceResults');
+        const retryBtn = document.getElementById('retryBtn');
+        if (resultsContainer) resultsContainer.classList.add('hidden');
+        if (retryBtn) retryBtn.classList.add('hidden');
+        updateRecognitionStatus('Next student, please.', 'info');
+    }, kioskQueue.options.resultMs);
+}
+
+// Group mode: follow each face from frame to frame by box overlap and run its own
+// blink check; faces that pass are queued for the next batch
+function updateGroupTracks(detections) {
+    const now = Date.now();
+    const unmatched = new Set(groupTracks.values());
+    
+    detections.forEach(detection => {
+        const box = detection.detection.box;
+        let track = null;
+        let bestIou = GROUP_OPTIONS.minIou;
+        unmatched.forEach(candidate => {
+            const iou = boxOverlap(candidate.box, box);
+            if (iou > bestIou) {
+                bestIou = iou;
+                track = candidate;
+            }
+        });
+        
+        if (track) {
+            unmatched.delete(track);
+        } else {
+            track = {
+                id: nextTrackId++,
+                liveness: new LivenessCheck({ requireChallenge: false }),
+                state: 'pending',
+                label: ''
             };
+            groupTracks.set(track.id, track);
         }
-    }
+        
+        track.box = box;
+        track.descriptor = detection.descriptor;
+        track.lastSeen = now;
+        
+        if (track.state === 'retry' && now >= track.retryAt) {
+            track.state = 'pending';
+            track.liveness.reset();
+        }
+        if (track.state !== 'pending') return;
+        
+        // Students already marked this session are recognized locally and not sent again
+        const known = [...groupRoster.values()].find(entry =>
+            faceapi.euclideanDistance(entry.descriptor, detection.descriptor) < GROUP_OPTIONS.rosterDistance
+        );
+        if (known) {
+            track.state = 'marked';
+            track.label = known.studentName;
+        } else if (track.liveness.update(detection)) {
+            track.state = 'ready';
+        }
+    });
     
-    // Default to morning session if no active slot
-    return {
-        type: 'morning',
-        name: 'Morning Session',
-        active: false
-    };
+    unmatched.forEach(track => {
+        if (now - track.lastSeen > GROUP_OPTIONS.trackTimeoutMs) groupTracks.delete(track.id);
+    });
+}
+
+// Intersection over union of two face boxes
+function boxOverlap(a, b) {
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    if (width <= 0 || height <= 0) return 0;
+    
+    const overlap = width * height;
+    return overlap / (a.width * a.height + b.width * b.height - overlap);
+}
+
+// Box and label for every tracked face, with the number marked so far
+function drawGroupOverlay() {
+    const colors = { pending: '#f5a623', ready: '#4facfe', submitting: '#4facfe', marked: '#43e97b', retry: '#f5576c' };
+    
+    groupTracks.forEach(track => {
+        const label = track.state === 'pending' ? track.liveness.prompt
+            : track.state === 'ready' || track.state === 'submitting' ? 'Checking...'
+            : track.label;
+        new faceapi.draw.DrawBox(track.box, { label, boxColor: colors[track.state] }).draw(canvas);
+    });
+    
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillStyle = '#43e97b';
+    ctx.fillText(`${groupRoster.size} marked`, 10, 22);
+}
+
+// Send every face that passed its blink check in one request
+async function submitGroupFaces() {
+    if (groupSubmitting) return;
+    
+    const ready = [...groupTracks.values()].filter(track => track.state === 'ready');
+    if (ready.length === 0) return;
+    
+    groupSubmitting = true;
+    ready.forEach(track => { track.state = 'submitting'; });
+    
+    try {
+        const response = await apiFetch('/api/attendance/mark-batch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                faces: ready.map(track => ({
+                    trackId: track.id,
+                    faceDescriptor: Array.from(track.descriptor),
+                    liveness: track.liveness.result()
+                })),
+                timestamp: new Date().toISOString()
+            })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            ready.forEach(track => retryGroupTrack(track, 'Not sent'));
+            if (result.outsideSession) {
+                updateRecognitionStatus(result.message, 'error');
+                await loadSchedule();
+            } else {
+                throw new Error(result.message || 'Group attendance failed');
+            }
+            return;
+        }
+        
+        // A new session starts a new roster
+        const rosterKey = `${result.date}:${result.sessionId}`;
+        if (rosterKey !== groupRosterKey) {
+            groupRoster = new Map();
+            groupRosterKey = rosterKey;
+        }
+        
+        result.results.forEach(face => {
+            const track = ready.find(t => t.id === Number(face.trackId));
+            
+            if (face.recognized) {
+                if (!groupRoster.has(face.studentId)) {
+                    groupRoster.set(face.studentId, {
+                        studentName: face.studentName,
+                        studentClass: face.studentClass,
+                        status: face.status,
+                        descriptor: track.descriptor,
+                        time: new Date(face.timestamp || Date.now())
+                    });
+                }
+                track.state = 'marked';
+                track.label = face.studentName;
+            } else {
+                retryGroupTrack(track, face.ambiguous ? 'Ask a teacher' : 'Not recognized');
+            }
+        });
+        
+        renderGroupRoster();
+        updateRecognitionStatus(`Group mode: ${result.message}. ${groupRoster.size} marked this session.`, 'success');
+        await loadAttendanceStats();
+        
+    } catch (error) {
+        console.error('Group attendance error:', error);
+        ready.forEach(track => retryGroupTrack(track, 'Not sent'));
+        updateRecognitionStatus('Group attendance error: ' + error.message, 'error');
+    } finally {
+        groupSubmitting = false;
+    }
+}
+
+// Show why a face was not marked and try it again later with a new blink check
+function retryGroupTrack(track, label) {
+    track.state = 'retry';
+    track.label = label;
+    track.retryAt = Date.now() + GROUP_OPTIONS.retryMs;
+}
+
+// List of students marked by group mode this session
+function renderGroupRoster() {
+    const rosterContainer = document.getElementById('groupRoster');
+    if (!rosterContainer) return;
+    
+    rosterContainer.innerHTML = '';
+    [...groupRoster.values()]
+        .sort((a, b) => a.studentName.localeCompare(b.studentName))
+        .forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `log-item ${entry.status}`;
+            item.textContent = `${entry.studentName} (class ${entry.studentClass}) - ${entry.status === 'late' ? 'Late' : 'Present'}, ${entry.time.toLocaleTimeString()}`;
+            rosterContainer.appendChild(item);
+        });
 }
 
 // Show attendance success result
@@ -416,32 +733,49 @@ async function showAttendanceSuccess(result) {
     const animationContainer = document.getElementById('resultAnimation');
     const contentContainer = document.getElementById('resultContent');
     
+    // Check-in, late check-in, check-out or a repeat scan
+    let title = 'Attendance Marked Successfully!';
+    let status = result.status === 'late' ? `Late (${result.minutesLate} min)` : 'Present';
+    let message = 'Welcome to school today!';
+    
+    if (result.checkedOut && !result.alreadyMarked) {
+        title = result.earlyDeparture ? 'Checked Out Early' : 'Checked Out Successfully!';
+        message = `Attended ${result.minutesAttended} minutes. ${result.earlyDeparture ? 'Early departure recorded.' : 'See you tomorrow!'}`;
+    } else if (result.alreadyMarked) {
+        title = result.checkedOut ? 'Already Checked Out' : 'Already Marked';
+        message = result.checkedOut ? 'You have already checked out of this session.' : 'Scan again later to check out.';
+    } else if (result.status === 'late') {
+        message = 'You arrived after the grace period.';
+    }
+    
+    const statusMessage = `${result.studentName}: ${title}`;
+    
     if (!resultsContainer || !animationContainer || !contentContainer) {
         // Fallback for simple success display
-        updateRecognitionStatus(`Welcome ${result.studentName}! Attendance marked successfully.`, 'success');
+        updateRecognitionStatus(statusMessage, 'success');
         return;
     }
     
     // Create success animation
     animationContainer.innerHTML = `
         <div class="success-icon">
-            <i class="fas fa-check"></i>
+            <i class="fas ${result.checkedOut ? 'fa-sign-out-alt' : 'fa-check'}"></i>
         </div>
     `;
     
     // Create success content
     contentContainer.innerHTML = `
-        <h3 style="color: #43e97b; margin-bottom: 10px;">Attendance Marked Successfully!</h3>
+        <h3 style="color: ${result.status === 'late' || result.earlyDeparture ? '#f5a623' : '#43e97b'}; margin-bottom: 10px;">${title}</h3>
         <div class="student-info">
             <h4>${result.studentName}</h4>
             <p>Student ID: ${result.studentId}</p>
             <p>Class: ${result.studentClass}</p>
             <p>Session: ${result.session}</p>
-            <p>Time: ${new Date().toLocaleTimeString()}</p>
+            <p>Time: ${new Date(result.timestamp || Date.now()).toLocaleTimeString()}</p>
         </div>
         <div class="attendance-message">
-            <p><strong>Status:</strong> Present</p>
-            <p><strong>Message:</strong> Welcome to school today!</p>
+            <p><strong>Status:</strong> ${status}</p>
+            <p><strong>Message:</strong> ${message}</p>
         </div>
     `;
     
@@ -455,7 +789,7 @@ async function showAttendanceSuccess(result) {
     }, 100);
     
     // Update recognition status
-    updateRecognitionStatus(`Welcome ${result.studentName}! Attendance marked successfully.`, 'success');
+    updateRecognitionStatus(statusMessage, 'success');
 }
 
 // Show attendance error result
@@ -510,12 +844,7 @@ function showAttendanceError(message) {
 // Stop face recognition scanner
 function stopScanner() {
     isScanning = false;
-    
-    // Clear recognition timeout
-    if (recognitionTimeout) {
-        clearTimeout(recognitionTimeout);
-        recognitionTimeout = null;
-    }
+    if (liveness) liveness.reset();
     
     // Stop camera stream
     if (video && video.srcObject) {
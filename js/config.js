@@ -0,0 +1,10 @@
+// Deployment settings for the browser pages. Load before api.js.
+// apiBase is the address of the AttendEase server. Leave it empty when the pages are opened
+// from the server itself (http://<server>:3000/attendance.html), which is how kiosks on the
+// school network use them; set it when the pages are hosted somewhere else, for example
+// apiBase: 'http://192.168.1.10:3000'. That origin must then be listed in CORS_ORIGIN.
+
+window.APP_CONFIG = {
+    apiBase: '',
+    ...(window.APP_CONFIG || {})
+};
@@ -0,0 +1,202 @@
+// Admin devices page: enroll kiosks, see when each was last seen and how many scans it made
+const DEVICE_MODE_LABELS = {
+    attendance: 'Attendance',
+    meal: 'Meal',
+    registration: 'Registration'
+};
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('Initializing devices page...');
+
+    const form = document.getElementById('deviceForm');
+    if (form) form.addEventListener('submit', enrollDevice);
+
+    await loadDevices();
+    setInterval(loadDevices, 60000);
+});
+
+// Load the enrolled devices and render the table
+async function loadDevices() {
+    try {
+        const response = await apiFetch('/api/devices');
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Could not load devices');
+        }
+
+        renderDevices(result.devices);
+    } catch (error) {
+        console.error('Error loading devices:', error);
+        showDevicesMessage('Could not load devices: ' + error.message, 'error');
+    }
+}
+
+// One row per device in #deviceList
+function renderDevices(devices) {
+    const list = document.getElementById('deviceList');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (devices.length === 0) {
+        list.innerHTML = '<tr><td colspan="7" class="empty">No devices enrolled yet.</td></tr>';
+        return;
+    }
+
+    devices.forEach(device => {
+        const row = document.createElement('tr');
+        row.className = device.status === 'active' ? '' : 'inactive';
+
+        const cells = [
+            device.name,
+            device.location || '-',
+            device.modes.map(mode => DEVICE_MODE_LABELS[mode] || mode).join(', '),
+            device.lastSeenAt ? getTimeAgo(new Date(device.lastSeenAt)) : 'Never',
+            `${device.scans.today} today / ${device.scans.total} total`,
+            device.status === 'active' ? 'Active' : 'Revoked'
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        actions.appendChild(createActionButton('New token', () => reissueToken(device)));
+        actions.appendChild(device.status === 'active'
+            ? createActionButton('Revoke', () => setDeviceStatus(device, 'inactive'))
+            : createActionButton('Reactivate', () => setDeviceStatus(device, 'active')));
+        row.appendChild(actions);
+
+        list.appendChild(row);
+    });
+}
+
+// Small text button for a table row
+function createActionButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-link';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Enroll a kiosk from #deviceForm and show its enrollment link
+async function enrollDevice(event) {
+    event.preventDefault();
+
+    const form = event.currentTarget;
+    const payload = {
+        name: form.deviceName.value.trim(),
+        location: form.deviceLocation.value.trim(),
+        modes: [...form.querySelectorAll('input[name="modes"]:checked')].map(input => input.value)
+    };
+
+    const result = await sendDeviceRequest('/api/devices', 'POST', payload);
+    if (!result) return;
+
+    form.reset();
+    showEnrollmentLink(result.device, result.token);
+    await loadDevices();
+}
+
+// Replace a device's token; the old one stops working at once
+async function reissueToken(device) {
+    if (!confirm(`Issue a new token for ${device.name}? The kiosk must be enrolled again with the new link.`)) return;
+
+    const result = await sendDeviceRequest(`/api/devices/${encodeURIComponent(device.id)}/token`, 'POST');
+    if (!result) return;
+
+    showEnrollmentLink(result.device, result.token);
+    await loadDevices();
+}
+
+// Revoke (inactive) or reactivate a device
+async function setDeviceStatus(device, status) {
+    if (status === 'inactive' && !confirm(`Revoke ${device.name}? It will be signed out immediately.`)) return;
+
+    const result = await sendDeviceRequest(`/api/devices/${encodeURIComponent(device.id)}`, 'PATCH', { status });
+    if (!result) return;
+
+    // Revoking also ended the old token, so a reactivated kiosk must be enrolled again
+    showDevicesMessage(status === 'active'
+        ? `${device.name} is active again. Issue a new token to enroll it.`
+        : result.message, 'success');
+    await loadDevices();
+}
+
+// Send a request to the devices API; returns the result, or null after showing the error
+async function sendDeviceRequest(path, method, body) {
+    try {
+        const response = await apiFetch(path, {
+            method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            ...(body ? { body: JSON.stringify(body) } : {})
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            const details = result.errors ? result.errors.join(' ') : '';
+            throw new Error(`${result.message || 'Request failed'} ${details}`.trim());
+        }
+
+        return result;
+    } catch (error) {
+        console.error('Device request error:', error);
+        showDevicesMessage(error.message, 'error');
+        return null;
+    }
+}
+
+// The token is shown only once: as a link to open on the kiosk
+function showEnrollmentLink(device, token) {
+    const link = new URL(`login.html#device=${encodeURIComponent(token)}`, window.location.href).href;
+    const container = document.getElementById('deviceToken');
+
+    if (!container) {
+        prompt(`Open this link on ${device.name} to enroll it:`, link);
+        return;
+    }
+
+    container.innerHTML = '';
+    const heading = document.createElement('p');
+    heading.textContent = `Open this link on ${device.name} to enroll it. It is shown only once.`;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.value = link;
+    input.addEventListener('focus', () => input.select());
+
+    container.append(heading, input);
+    container.classList.remove('hidden');
+}
+
+// Show a status message above the table
+function showDevicesMessage(message, type) {
+    const messageEl = document.getElementById('devicesMessage');
+    if (!messageEl) {
+        alert(message);
+        return;
+    }
+
+    messageEl.textContent = message;
+    messageEl.className = `settings-message ${type}`;
+}
+
+function getTimeAgo(date) {
+    const now = new Date();
+    const diffInSeconds = Math.floor((now - date) / 1000);
+    
+    if (diffInSeconds < 60) return 'Just now';
+    if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)} minutes ago`;
+    if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)} hours ago`;
+    return `${Math.floor(diffInSeconds / 86400)} days ago`;
+}
+
+// Export global functions
+window.loadDevices = loadDevices;
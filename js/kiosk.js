@@ -0,0 +1,105 @@
+// Continuous queue mode for the attendance and meal kiosks. The camera stays on between
+// children, a face that was just handled is ignored for a cooldown instead of being scanned
+// again, and a strip shows the last few children served.
+// Turn it on with the #continuousMode checkbox, or open the page with ?kiosk=1 on a
+// wall-mounted tablet: the scanner then starts by itself in a full-screen layout.
+// Load after face-api.js and before the scanner script.
+
+const KIOSK_OPTIONS = {
+    stripSize: 8,            // children shown in the "last served" strip
+    cooldownMs: 30000,       // a child who was served is ignored this long
+    retryMs: 5000,           // ...and a face that was not served this long
+    sameFaceDistance: 0.45,  // descriptors closer than this are the same child
+    resultMs: 2500           // how long a result stays on screen
+};
+
+class KioskQueue {
+    constructor(options = {}) {
+        this.options = { ...KIOSK_OPTIONS, ...options };
+        this.served = [];    // newest first: { studentName, studentId, detail, ok, time }
+        this.recent = [];    // faces in cooldown: { descriptor, studentName, until }
+    }
+
+    /**
+     * The cooldown entry for a face seen recently, or null if it may be scanned
+     * @param {Float32Array} descriptor - Face in the current frame
+     * @returns {Object|null} - { descriptor, studentName, until }
+     */
+    recentFace(descriptor) {
+        const now = Date.now();
+        this.recent = this.recent.filter(entry => entry.until > now);
+        return this.recent.find(entry =>
+            faceapi.euclideanDistance(entry.descriptor, descriptor) < this.options.sameFaceDistance
+        ) || null;
+    }
+
+    /**
+     * Remember a handled face and add recognized students to the strip
+     * @param {Object} scan - { descriptor, studentName, studentId, detail, ok, queued }; faces
+     *                        without a studentId (not recognized) get the shorter retry
+     *                        cooldown, ok: false shows a repeat (already marked or served) and
+     *                        queued a scan saved offline (js/offline.js) in the strip
+     */
+    record({ descriptor, studentName = null, studentId = null, detail = '', ok = true, queued = false }) {
+        if (queued) {
+            studentName = 'Saved offline';
+            detail = 'Waiting to sync';
+        }
+
+        this.recent.push({
+            descriptor,
+            studentName,
+            until: Date.now() + (studentId || queued ? this.options.cooldownMs : this.options.retryMs)
+        });
+
+        if (studentId || queued) {
+            this.served.unshift({ studentName, studentId, detail, ok, time: new Date() });
+            this.served = this.served.slice(0, this.options.stripSize);
+            this.render();
+        }
+    }
+
+    // Draw the strip into #servedStrip (if the page has one)
+    render() {
+        const strip = document.getElementById('servedStrip');
+        if (!strip) return;
+
+        strip.innerHTML = '';
+        this.served.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `served-item ${entry.ok ? 'ok' : 'repeat'}`;
+
+            const name = document.createElement('strong');
+            name.textContent = entry.studentName;
+            const detail = document.createElement('span');
+            detail.textContent = `${entry.detail} · ${entry.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+            item.append(name, detail);
+            strip.appendChild(item);
+        });
+    }
+}
+
+// Continuous mode is on when the page was opened with ?kiosk=1 or #continuousMode is ticked
+function isContinuousMode() {
+    const toggle = document.getElementById('continuousMode');
+    return new URLSearchParams(window.location.search).get('kiosk') === '1' || Boolean(toggle && toggle.checked);
+}
+
+// Wall-mounted tablets: full-screen camera with the status, result and strip on top of it
+function applyKioskLayout() {
+    if (new URLSearchParams(window.location.search).get('kiosk') !== '1') return false;
+
+    document.body.classList.add('kiosk-layout');
+    // Browsers only allow real full screen after a tap
+    document.addEventListener('click', () => {
+        if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(() => {});
+        }
+    }, { once: true });
+    return true;
+}
+
+window.KioskQueue = KioskQueue;
+window.isContinuousMode = isContinuousMode;
+window.applyKioskLayout = applyKioskLayout;
@@ -0,0 +1,152 @@
+// Passive liveness checks for the scanners, using the 68-point landmarks and expressions
+// face-api.js already computes for every frame. A photo or a phone screen held up to the
+// camera does not blink and cannot follow a random challenge, so a scan is only submitted
+// after one blink and one challenge (turn the head, or smile) by the same face. Group mode
+// asks a whole classroom for nothing but a blink (requireChallenge: false).
+// Load after face-api.js and before the scanner script.
+
+const LIVENESS_CHALLENGES = {
+    turn: 'Turn your head slightly to one side, then look back at the camera.',
+    smile: 'Please smile.'
+};
+
+const LIVENESS_OPTIONS = {
+    closedEar: 0.21,         // eye aspect ratio below this is a closed eye
+    openEar: 0.25,           // ...and above this an open one
+    turnRatio: 0.15,         // nose shift (share of eye width) that counts as a head turn
+    frontalRatio: 0.07,      // back to within this of the starting position
+    smileScore: 0.8,         // faceExpressionNet "happy" score for a smile
+    neutralScore: 0.3,       // ...which must start below this
+    sameFaceDistance: 0.45,  // a different descriptor than this restarts the check
+    timeoutMs: 10000,        // a new challenge is chosen if not passed in time
+    requireChallenge: true
+};
+
+class LivenessCheck {
+    constructor(options = {}) {
+        this.options = { ...LIVENESS_OPTIONS, ...options };
+        this.reset();
+    }
+
+    // Start over with a new random challenge
+    reset() {
+        const challenges = Object.keys(LIVENESS_CHALLENGES);
+        this.challenge = this.options.requireChallenge
+            ? challenges[Math.floor(Math.random() * challenges.length)]
+            : null;
+        this.startedAt = null;
+        this.referenceDescriptor = null;
+        this.frames = 0;
+        this.blinks = 0;
+        this.eyesOpen = false;
+        this.eyesClosed = false;
+        this.startRatio = null;
+        this.turned = false;
+        this.wasNeutral = false;
+        this.checks = { blink: false, challenge: false };
+    }
+
+    get passed() {
+        return this.checks.blink && (this.checks.challenge || !this.challenge);
+    }
+
+    // Instruction to show while the check is running
+    get prompt() {
+        if (!this.checks.blink) return 'Please blink.';
+        if (this.challenge && !this.checks.challenge) return LIVENESS_CHALLENGES[this.challenge];
+        return 'Liveness confirmed.';
+    }
+
+    /**
+     * Feed one detection (withFaceLandmarks, withFaceDescriptors and withFaceExpressions)
+     * @returns {boolean} - True once the blink (and challenge, if any) has been seen
+     */
+    update(detection) {
+        const now = Date.now();
+
+        // Another face (a photo swapped in after a real blink) or a stale attempt starts over
+        if (this.referenceDescriptor &&
+            faceapi.euclideanDistance(this.referenceDescriptor, detection.descriptor) > this.options.sameFaceDistance) {
+            this.reset();
+        } else if (this.startedAt && !this.passed && now - this.startedAt > this.options.timeoutMs) {
+            this.reset();
+        }
+
+        if (!this.startedAt) {
+            this.startedAt = now;
+            this.referenceDescriptor = detection.descriptor;
+        }
+        this.frames++;
+
+        this.updateBlink(detection.landmarks);
+        if (this.challenge === 'turn') this.updateTurn(detection.landmarks);
+        if (this.challenge === 'smile') this.updateSmile(detection.expressions);
+
+        return this.passed;
+    }
+
+    // A blink is an open -> closed -> open eye aspect ratio sequence; closed eyes only count
+    // after an open frame, so a stream that starts closed and then opens is not a blink
+    updateBlink(landmarks) {
+        const ear = (eyeAspectRatio(landmarks.getLeftEye()) + eyeAspectRatio(landmarks.getRightEye())) / 2;
+
+        if (ear < this.options.closedEar) {
+            if (this.eyesOpen) this.eyesClosed = true;
+        } else if (ear > this.options.openEar) {
+            if (this.eyesClosed) {
+                this.blinks++;
+                this.checks.blink = true;
+            }
+            this.eyesOpen = true;
+            this.eyesClosed = false;
+        }
+    }
+
+    // The nose moves across the line between the outer eye corners, then comes back
+    updateTurn(landmarks) {
+        const points = landmarks.positions;
+        const left = points[36];
+        const right = points[45];
+        const ratio = (points[30].x - left.x) / (right.x - left.x);
+
+        if (this.startRatio === null) this.startRatio = ratio;
+        const shift = Math.abs(ratio - this.startRatio);
+
+        if (shift > this.options.turnRatio) {
+            this.turned = true;
+        } else if (this.turned && shift < this.options.frontalRatio) {
+            this.checks.challenge = true;
+        }
+    }
+
+    // A smile only counts when the face started neutral (a printed smiling photo does not)
+    updateSmile(expressions) {
+        if (!expressions) return;
+
+        if (expressions.happy < this.options.neutralScore) {
+            this.wasNeutral = true;
+        } else if (this.wasNeutral && expressions.happy > this.options.smileScore) {
+            this.checks.challenge = true;
+        }
+    }
+
+    // Result sent to the server with the scan and stored on the attendance record
+    result() {
+        return {
+            passed: this.passed,
+            challenge: this.challenge,
+            checks: { ...this.checks },
+            blinks: this.blinks,
+            frames: this.frames,
+            durationMs: this.startedAt ? Date.now() - this.startedAt : 0
+        };
+    }
+}
+
+// Eye aspect ratio from the six eye landmarks: small when the eye is closed
+function eyeAspectRatio(eye) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    return (distance(eye[1], eye[5]) + distance(eye[2], eye[4])) / (2 * distance(eye[0], eye[3]));
+}
+
+window.LivenessCheck = LivenessCheck;
@@ -0,0 +1,94 @@
+// Login page: exchanges username/password for a session token
+// Landing page for each role when no ?next= page was requested
+const roleHomePages = {
+    admin: 'register.html',
+    teacher: 'attendance.html',
+    kitchen: 'meal.html',
+    kiosk: 'attendance.html'
+};
+
+// Landing page for an enrolled kiosk device, by its first allowed mode
+const deviceHomePages = {
+    attendance: 'attendance.html?kiosk=1',
+    meal: 'meal.html?kiosk=1',
+    registration: 'register.html'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('loginForm');
+    if (form) form.addEventListener('submit', handleLogin);
+
+    // Enrollment link from the admin devices page: login.html#device=<token>
+    const deviceToken = new URLSearchParams(window.location.hash.slice(1)).get('device');
+    if (deviceToken) enrollDevice(deviceToken);
+});
+
+// Sign this browser in as an enrolled kiosk device
+async function enrollDevice(token) {
+    const errorEl = document.getElementById('loginError');
+
+    // Keep the token out of the address bar and browser history
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    try {
+        // Not apiFetch: a stored session would replace the device token
+        const response = await fetch(`${API_BASE}/api/auth/me`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success || !result.device) {
+            throw new Error(result.message || 'This is not a valid device token');
+        }
+
+        saveSession(token, { ...result.user, device: result.device });
+        window.location.href = deviceHomePages[result.device.modes[0]] || 'index.html';
+    } catch (error) {
+        console.error('Device enrollment error:', error);
+        if (errorEl) errorEl.textContent = `Device enrollment failed: ${error.message}`;
+    }
+}
+
+// Handle login form submission
+async function handleLogin(event) {
+    event.preventDefault();
+
+    const form = event.currentTarget;
+    const errorEl = document.getElementById('loginError');
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    if (errorEl) errorEl.textContent = '';
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+        const response = await apiFetch('/api/auth/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                username: form.username.value.trim(),
+                password: form.password.value
+            })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Login failed');
+        }
+
+        saveSession(result.token, result.user);
+
+        // Only follow relative page names to avoid redirecting off-site
+        const next = new URLSearchParams(window.location.search).get('next');
+        const target = next && /^[\w-]+\.html$/.test(next) ? next : roleHomePages[result.user.role];
+        window.location.href = target || 'index.html';
+    } catch (error) {
+        console.error('Login error:', error);
+        if (errorEl) errorEl.textContent = error.message;
+        form.password.value = '';
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
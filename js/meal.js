@@ -5,6 +5,17 @@ let faceDetector = null;
 let isModelLoaded = false;
 let isMealScanning = false;
 let mealRecognitionTimeout = null;
+let isMealSubmitting = false;
+let latestMealDescriptor = null;
+let continuousMealMode = false;
+let mealKioskQueue = null; // KioskQueue from js/kiosk.js
+let mealOfflineQueue = null; // OfflineQueue from js/offline.js
+// Today's timetable from the server (/api/schedule)
+let scheduleData = {
+    day: { sessions: [] },
+    current: null,
+    next: null
+};
 let mealData = {
     totalStudents: 0,
     mealsServed: 0,
@@ -21,8 +32,8 @@ document.addEventListener('DOMContentLoaded', async function() {
     setInterval(updateMealTime, 1000);
     
     // Check meal time status
-    updateMealTimeStatus();
-    setInterval(updateMealTimeStatus, 60000); // Update every minute
+    await loadSchedule();
+    setInterval(loadSchedule, 60000); // Update every minute
     
     // Load face recognition models
     await loadFaceAPIModels();
@@ -33,8 +44,29 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Load recent meal distribution log
     await loadRecentMealDistribution();
     
+    // Meals served while the server was unreachable are replayed from IndexedDB
+    // (enrolled kiosk devices only: the server refuses offline scans from other sessions)
+    if (typeof OfflineQueue !== 'undefined' && getCurrentUser()?.device) {
+        mealOfflineQueue = new OfflineQueue('/api/meal/mark', {
+            onSynced: () => {
+                loadMealStats();
+                loadRecentMealDistribution();
+            }
+        });
+        mealOfflineQueue.start();
+    }
+    
     // Load today's menu (could be dynamic from backend)
     loadTodayMenu();
+    
+    // Wall-mounted kiosks (?kiosk=1) start scanning by themselves, and again when the
+    // meal session opens
+    if (typeof applyKioskLayout === 'function' && applyKioskLayout()) {
+        await startMealScanner();
+        setInterval(() => {
+            if (!isMealScanning) startMealScanner();
+        }, 60000);
+    }
 });
 
 // Update current time display
@@ -50,29 +82,47 @@ function updateMealTime() {
     document.getElementById('currentTime').textContent = timeString;
 }
 
-// Update meal time status
+// Load today's sessions and the currently open session from the server
+async function loadSchedule() {
+    try {
+        const response = await apiFetch('/api/schedule');
+        const result = await response.json();
+        
+        if (response.ok && result.success) {
+            scheduleData = result;
+        }
+    } catch (error) {
+        console.warn('Could not load schedule:', error);
+    }
+    
+    updateMealTimeStatus();
+}
+
+// Update meal time status from the server schedule
 function updateMealTimeStatus() {
-    const now = new Date();
-    const currentTime = now.toTimeString().substring(0, 5); // HH:MM format
-    const mealStartTime = '12:00';
-    const mealEndTime = '13:00';
+    const mealSession = scheduleData.day.sessions.find(s => s.type === 'meal');
+    const isMealTime = scheduleData.current && scheduleData.current.type === 'meal';
     
     const statusElement = document.getElementById('mealStatus');
     const iconElement = statusElement.querySelector('i');
     const textElement = statusElement.querySelector('span');
     
-    if (currentTime >= mealStartTime && currentTime <= mealEndTime) {
+    if (isMealTime) {
         statusElement.style.background = 'linear-gradient(45deg, #43e97b, #38f9d7)';
         iconElement.className = 'fas fa-check-circle';
-        textElement.textContent = 'Meal Time is Active Now! (12:00 PM - 1:00 PM)';
-    } else if (currentTime < mealStartTime) {
+        textElement.textContent = `Meal Time is Active Now! (${scheduleData.current.start} - ${scheduleData.current.end})`;
+    } else if (scheduleData.next && scheduleData.next.type === 'meal') {
         statusElement.style.background = 'linear-gradient(45deg, #ffc107, #ff8f00)';
         iconElement.className = 'fas fa-clock';
-        textElement.textContent = 'Meal Time Starts at 12:00 PM';
+        textElement.textContent = `Meal Time Starts at ${scheduleData.next.start}`;
+    } else if (mealSession) {
+        statusElement.style.background = 'linear-gradient(45deg, #f5576c, #f093fb)';
+        iconElement.className = 'fas fa-times-circle';
+        textElement.textContent = `Meal Time Ended (${mealSession.start} - ${mealSession.end})`;
     } else {
         statusElement.style.background = 'linear-gradient(45deg, #f5576c, #f093fb)';
         iconElement.className = 'fas fa-times-circle';
-        textElement.textContent = 'Meal Time Ended (12:00 PM - 1:00 PM)';
+        textElement.textContent = 'No meal service today';
     }
 }
 
@@ -81,8 +131,8 @@ async function loadFaceAPIModels() {
     try {
         updateMealRecognitionStatus('Loading AI models for meal distribution...', 'loading');
         
-        // Use LOCAL models instead of CDN
-        const MODEL_URL = '/models';
+        // Use the models served by the AttendEase server instead of a CDN
+        const MODEL_URL = `${API_BASE}/models`;
         
         await faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL);
         await faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL);
@@ -102,7 +152,7 @@ async function loadFaceAPIModels() {
 // Load meal statistics
 async function loadMealStats() {
     try {
-        const response = await fetch('http://localhost:3000/api/meal/stats');
+        const response = await apiFetch('/api/meal/stats');
         const stats = await response.json();
         
         if (response.ok) {
@@ -136,7 +186,7 @@ function updateMealStatsDisplay() {
 // Load recent meal distribution log
 async function loadRecentMealDistribution() {
     try {
-        const response = await fetch('http://localhost:3000/api/meal/recent?limit=15');
+        const response = await apiFetch('/api/meal/recent?limit=15');
         const recentData = await response.json();
         
         if (response.ok && recentData.length > 0) {
@@ -246,16 +296,23 @@ async function startMealScanner() {
         return;
     }
     
-    // Check if it's meal time
-    const now = new Date();
-    const currentTime = now.toTimeString().substring(0, 5);
-    if (currentTime < '12:00' || currentTime > '13:00') {
-        const confirmProceed = confirm(
-            'It\'s currently outside meal time (12:00 PM - 1:00 PM). Do you want to proceed anyway?'
-        );
-        if (!confirmProceed) return;
+    // Check if it's meal time (the server refuses meal marks outside the meal session)
+    await loadSchedule();
+    if (!scheduleData.current || scheduleData.current.type !== 'meal') {
+        const message = 'It\'s currently outside meal time. Meals can only be marked during the scheduled meal session.';
+        // Nobody is there to close an alert on a wall-mounted kiosk
+        if (document.body.classList.contains('kiosk-layout')) {
+            updateMealRecognitionStatus(message, 'info');
+        } else {
+            alert(message);
+        }
+        return;
     }
     
+    // Continuous mode keeps the camera on for the whole line
+    continuousMealMode = typeof KioskQueue !== 'undefined' && isContinuousMode();
+    if (continuousMealMode && !mealKioskQueue) mealKioskQueue = new KioskQueue();
+    
     try {
         updateMealRecognitionStatus('Starting camera for meal distribution...', 'loading');
         
@@ -323,18 +380,31 @@ async function startMealFaceRecognition() {
                     const detection = detections[0];
                     const confidence = detection.detection.score;
                     
-                    if (confidence > 0.7) {
-                        updateMealRecognitionStatus('Student face detected! Verifying for meal...', 'processing');
-                        
-                        // Clear any existing timeout
+                    const recent = continuousMealMode ? mealKioskQueue.recentFace(detection.descriptor) : null;
+                    
+                    if (isMealSubmitting) {
+                        // Wait for the server before looking at the next face
+                    } else if (recent) {
+                        // The student just served is still in front of the camera
                         if (mealRecognitionTimeout) {
                             clearTimeout(mealRecognitionTimeout);
+                            mealRecognitionTimeout = null;
                         }
+                        updateMealRecognitionStatus(`${recent.studentName ? `${recent.studentName} is done` : 'Please step aside'}. Next student, please.`, 'info');
+                    } else if (confidence > 0.7) {
+                        latestMealDescriptor = detection.descriptor;
                         
-                        // Set timeout for meal recognition
-                        mealRecognitionTimeout = setTimeout(() => {
-                            processMealDistribution(detection.descriptor);
-                        }, 2000); // Wait 2 seconds for stable detection
+                        // Wait 2 seconds for stable detection, then use the latest frame
+                        if (!mealRecognitionTimeout) {
+                            updateMealRecognitionStatus('Student face detected! Verifying for meal...', 'processing');
+                            mealRecognitionTimeout = setTimeout(() => {
+                                mealRecognitionTimeout = null;
+                                isMealSubmitting = true;
+                                processMealDistribution(latestMealDescriptor).finally(() => {
+                                    isMealSubmitting = false;
+                                });
+                            }, 2000);
+                        }
                         
                     } else {
                         updateMealRecognitionStatus('Face detected but unclear. Please improve positioning.', 'warning');
@@ -368,71 +438,123 @@ async function processMealDistribution(faceDescriptor) {
     try {
         updateMealRecognitionStatus('Processing meal distribution...', 'loading');
         
-        // First, verify student identity through attendance system
-        const verificationPayload = {
+        // Identify the student and record the meal in one server-side step; the idempotency
+        // key lets the server ignore the scan if it is sent again from the offline queue
+        const mealPayload = {
             faceDescriptor: Array.from(faceDescriptor),
             timestamp: new Date().toISOString(),
-            session: 'Mid-Day Meal',
-            sessionType: 'meal'
+            ...(mealOfflineQueue ? { idempotencyKey: OfflineQueue.newKey() } : {})
         };
         
-        // Verify student identity
-        const verifyResponse = await fetch('http://localhost:3000/api/attendance/mark', {
+        const sendScan = payload => apiFetch('/api/meal/mark', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(verificationPayload)
+            body: JSON.stringify(payload)
         });
         
-        const verifyResult = await verifyResponse.json();
-        
-        if (verifyResponse.ok && verifyResult.recognized) {
-            // Now mark meal distribution
-            const mealPayload = {
-                studentId: verifyResult.studentId,
-                timestamp: new Date().toISOString()
-            };
-            
-            const mealResponse = await fetch('http://localhost:3000/api/meal/mark', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(mealPayload)
-            });
-            
-            const mealResult = await mealResponse.json();
+        let mealResponse;
+        try {
+            mealResponse = await sendScan(mealPayload);
+        } catch (error) {
+            if (!mealOfflineQueue || !isNetworkError(error)) throw error;
             
-            if (mealResponse.ok) {
-                if (mealResult.alreadyMarked) {
-                    showMealError(`${verifyResult.studentName} has already received meal today.`);
-                } else {
-                    await showMealSuccess({
-                        ...verifyResult,
-                        mealRecord: mealResult.mealRecord
+            // Server unreachable: keep the scan and send it when the connection is back
+            await mealOfflineQueue.add(mealPayload);
+            updateMealRecognitionStatus('Server unreachable. Meal saved and will be sent when the connection is back.', 'warning');
+            if (continuousMealMode) {
+                mealKioskQueue.record({ descriptor: faceDescriptor, queued: true });
+                nextMealInQueue();
+            }
+            return;
+        }
+        
+        let mealResult = await mealResponse.json();
+        
+        // Two students match closely: kitchen staff pick one, kiosks leave it to staff
+        if (mealResult.ambiguous) {
+            const confirmStudentId = chooseAmbiguousCandidate(mealResult);
+            if (confirmStudentId) {
+                mealResponse = await sendScan({ ...mealPayload, confirmStudentId });
+                mealResult = await mealResponse.json();
+            }
+        }
+        
+        if (mealResult.ambiguous) {
+            showMealError(describeAmbiguousScan(mealResult));
+        } else if (mealResult.outsideSession) {
+            showMealError(mealResult.message);
+            await loadSchedule();
+        } else if (mealResponse.ok && mealResult.recognized) {
+            if (mealResult.alreadyMarked) {
+                showMealError(`${mealResult.student.name} has already received meal today.`);
+                if (continuousMealMode) {
+                    mealKioskQueue.record({
+                        descriptor: faceDescriptor,
+                        studentName: mealResult.student.name,
+                        studentId: mealResult.student.studentId,
+                        detail: 'Already served',
+                        ok: false
                     });
-                    
-                    // Update statistics and log
-                    await loadMealStats();
-                    await loadRecentMealDistribution();
-                    
-                    // Stop scanning after successful distribution
-                    setTimeout(() => {
-                        stopMealScanner();
-                    }, 4000);
+                    nextMealInQueue();
                 }
+                return;
             } else {
-                throw new Error(mealResult.message || 'Failed to record meal distribution');
+                await showMealSuccess({
+                    studentName: mealResult.student.name,
+                    studentId: mealResult.student.studentId,
+                    studentClass: mealResult.student.class,
+                    confidence: mealResult.confidence,
+                    mealRecord: mealResult.mealRecord
+                });
+                
+                // Update statistics and log
+                await loadMealStats();
+                await loadRecentMealDistribution();
+                
+                if (continuousMealMode) {
+                    mealKioskQueue.record({
+                        descriptor: faceDescriptor,
+                        studentName: mealResult.student.name,
+                        studentId: mealResult.student.studentId,
+                        detail: `Class ${mealResult.student.class}`
+                    });
+                    nextMealInQueue();
+                    return;
+                }
+                
+                // Stop scanning after successful distribution
+                setTimeout(() => {
+                    stopMealScanner();
+                }, 4000);
+                return;
             }
-        } else {
+        } else if (mealResponse.ok) {
             showMealError('Student not recognized. Please ensure student is registered in the system.');
+        } else {
+            throw new Error(mealResult.message || 'Failed to record meal distribution');
         }
         
     } catch (error) {
         console.error('Meal distribution processing error:', error);
         showMealError('Failed to process meal distribution: ' + error.message);
     }
+    
+    // Not served: in continuous mode the same face may try again after a short pause
+    if (continuousMealMode) {
+        mealKioskQueue.record({ descriptor: faceDescriptor });
+        nextMealInQueue();
+    }
+}
+
+// Continuous mode: clear the result after a moment and wait for the next student
+function nextMealInQueue() {
+    setTimeout(() => {
+        if (!isMealScanning) return;
+        document.getElementById('mealResults').classList.add('hidden');
+        updateMealRecognitionStatus('Next student, please.', 'info');
+    }, mealKioskQueue.options.resultMs);
 }
 
 // Show meal distribution success
@@ -0,0 +1,154 @@
+// Offline queue for the attendance and meal kiosks. When the server or the Wi-Fi is down a
+// scan is kept in IndexedDB with its original timestamp and idempotency key, and replayed
+// with offline: true once the server answers again. The server uses the key to ignore a
+// scan it already recorded, so replaying twice never marks twice.
+// Load after api.js and before the scanner script.
+
+const OFFLINE_DB_NAME = 'attendease-offline';
+const OFFLINE_STORE = 'scans';
+const OFFLINE_SYNC_MS = 30000;
+
+// Open (and on first use create) the queue database
+function openOfflineDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(OFFLINE_STORE, { keyPath: 'key' });
+            store.createIndex('path', 'path');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Wrap an IndexedDB request in a promise
+function offlineRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// fetch() rejects with a TypeError when the server cannot be reached at all
+function isNetworkError(error) {
+    return error instanceof TypeError;
+}
+
+class OfflineQueue {
+    /**
+     * @param {string} path - API path the queued scans are sent to
+     * @param {Object} options - { counterId: element showing the pending count, onSynced(entry, result) }
+     */
+    constructor(path, options = {}) {
+        this.path = path;
+        this.counterId = options.counterId || 'pendingScans';
+        this.onSynced = options.onSynced || null;
+        this.syncing = false;
+        this.database = null;
+    }
+
+    // A new idempotency key for a scan (sent with the first attempt too)
+    static newKey() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    // The object store, in a new transaction
+    async store(mode) {
+        if (!this.database) this.database = await openOfflineDatabase();
+        return this.database.transaction(OFFLINE_STORE, mode).objectStore(OFFLINE_STORE);
+    }
+
+    // Keep a scan that could not be sent; body must include timestamp and idempotencyKey
+    async add(body) {
+        const store = await this.store('readwrite');
+        await offlineRequest(store.put({
+            key: body.idempotencyKey,
+            path: this.path,
+            body,
+            queuedAt: new Date().toISOString()
+        }));
+        await this.updateCounter();
+    }
+
+    // Queued scans for this page, oldest first
+    async list() {
+        const store = await this.store('readonly');
+        const entries = await offlineRequest(store.index('path').getAll(this.path));
+        return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+
+    async remove(key) {
+        const store = await this.store('readwrite');
+        await offlineRequest(store.delete(key));
+    }
+
+    /**
+     * Replay queued scans in order. Stops at the first one the server cannot take yet
+     * (unreachable, logged out, server error); the rest stay queued for the next try.
+     * @returns {Promise<number>} - Scans sent and removed from the queue
+     */
+    async sync() {
+        if (this.syncing) return 0;
+        this.syncing = true;
+        let sent = 0;
+
+        try {
+            for (const entry of await this.list()) {
+                let response;
+                try {
+                    response = await apiFetch(entry.path, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({ ...entry.body, offline: true })
+                    });
+                } catch (error) {
+                    if (isNetworkError(error)) break;
+                    throw error;
+                }
+
+                if (response.status === 401 || response.status === 429 || response.status >= 500) break;
+
+                // Anything else is final: marked, already recorded, or refused (too old,
+                // outside every session, not recognized)
+                const result = await response.json().catch(() => ({}));
+                await this.remove(entry.key);
+                sent++;
+                if (!response.ok || !result.recognized) {
+                    console.warn(`Queued scan from ${entry.body.timestamp} was not marked: ${result.message || response.status}`);
+                }
+                if (this.onSynced) this.onSynced(entry, result);
+            }
+        } catch (error) {
+            console.error('Offline queue sync error:', error);
+        } finally {
+            this.syncing = false;
+            await this.updateCounter();
+        }
+
+        return sent;
+    }
+
+    // Show the number of scans waiting in #pendingScans (hidden when there are none)
+    async updateCounter() {
+        const counter = document.getElementById(this.counterId);
+        if (!counter) return;
+
+        const pending = (await this.list()).length;
+        counter.textContent = `${pending} scan${pending === 1 ? '' : 's'} waiting to sync`;
+        counter.classList.toggle('hidden', pending === 0);
+    }
+
+    // Sync now, whenever the browser comes back online, and every 30 seconds
+    start() {
+        this.updateCounter();
+        this.sync();
+        window.addEventListener('online', () => this.sync());
+        setInterval(() => this.sync(), OFFLINE_SYNC_MS);
+    }
+}
+
+window.OfflineQueue = OfflineQueue;
+window.isNetworkError = isNetworkError;
@@ -5,21 +5,36 @@ let capturedImages = [];
 let faceDetector = null;
 let isModelLoaded = false;
 let studentData = {};
+let minCaptures = 3; // settings.enrollmentQuality.minCaptures
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', async function() {
     console.log('Initializing face registration system...');
     await loadFaceAPIModels();
+    await loadEnrollmentSettings();
     setupEventListeners();
 });
 
+// Load the school's minimum capture count (the server enforces it too)
+async function loadEnrollmentSettings() {
+    try {
+        const response = await apiFetch('/api/settings');
+        const result = await response.json();
+        if (response.ok && result.settings?.enrollmentQuality?.minCaptures) {
+            minCaptures = result.settings.enrollmentQuality.minCaptures;
+        }
+    } catch (error) {
+        console.warn('Could not load enrollment settings, expecting 3 captures:', error);
+    }
+}
+
 // Load Face-API models from LOCAL models folder
 async function loadFaceAPIModels() {
     try {
         updateDetectionStatus('Loading AI models...', 'loading');
         
-        // Use LOCAL models instead of CDN
-        const MODEL_URL = '/models';
+        // Use the models served by the AttendEase server instead of a CDN
+        const MODEL_URL = `${API_BASE}/models`;
         
         await faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL);
         await faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL);
@@ -173,7 +188,7 @@ async function proceedToCapture() {
     
     // Check for duplicate student ID
     try {
-        const response = await fetch('http://localhost:3000/api/register/check-student', {
+        const response = await apiFetch('/api/register/check', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -368,14 +383,14 @@ async function captureImage() {
             updateDetectionStatus(`Image ${capturedImages.length} captured successfully!`, 'success');
             
             // Check if we have enough images
-            if (capturedImages.length >= 3) {
+            if (capturedImages.length >= minCaptures) {
                 const capturedImagesSection = document.getElementById('capturedImages');
                 if (capturedImagesSection) {
                     capturedImagesSection.classList.remove('hidden');
                 }
                 updateDetectionStatus('Great! You have captured enough images for registration.', 'success');
             } else {
-                updateDetectionStatus(`Image ${capturedImages.length}/3 captured. Capture ${3 - capturedImages.length} more for better accuracy.`, 'info');
+                updateDetectionStatus(`Image ${capturedImages.length}/${minCaptures} captured. Capture ${minCaptures - capturedImages.length} more, turning the head slightly each time.`, 'info');
             }
             
         }, 'image/jpeg', 0.8);
@@ -417,6 +432,22 @@ function displayCapturedImage(imageUrl) {
     imageGrid.appendChild(imgElement);
 }
 
+// Mark captures the server rejected and explain why; clicking one removes it
+function showImageFeedback(result) {
+    const imageGrid = document.getElementById('imageGrid');
+    
+    result.imageFeedback.forEach(feedback => {
+        const imgElement = imageGrid?.children[feedback.image - 1];
+        if (!imgElement) return;
+        
+        imgElement.title = feedback.ok ? '' : feedback.issues.join(' ');
+        imgElement.style.outline = feedback.ok ? '' : '3px solid #dc3545';
+    });
+    
+    updateDetectionStatus(result.message, 'error');
+    alert(`${result.message}\n\n${result.errors.join('\n')}`);
+}
+
 // Retake photos
 function retakePhoto() {
     // Clear captured images
@@ -436,8 +467,8 @@ function retakePhoto() {
 
 // Register face with backend
 async function registerFace() {
-    if (capturedImages.length === 0) {
-        alert('Please capture at least one image before registering.');
+    if (capturedImages.length < minCaptures) {
+        alert(`Please capture at least ${minCaptures} images before registering.`);
         return;
     }
     
@@ -456,15 +487,38 @@ async function registerFace() {
         };
         
         // Send to backend
-        const response = await fetch('http://localhost:3000/api/register', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(registrationData)
-        });
+        const sendRegistration = async (extra = {}) => {
+            const response = await apiFetch('/api/register', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ...registrationData, ...extra })
+            });
+            return { response, result: await response.json() };
+        };
         
-        const result = await response.json();
+        let { response, result } = await sendRegistration();
+        
+        // The face matches an enrolled student: only register again with a reason (e.g. twins)
+        if (response.status === 409 && result.possibleDuplicate) {
+            hideLoading();
+            const names = result.duplicates.map(d => `${d.name} (${d.studentId}, class ${d.class})`).join('\n');
+            const reason = prompt(`This face matches a student who is already registered:\n${names}\n\nIf this is a different child, enter the reason to register anyway:`);
+            if (!reason || reason.trim().length === 0) {
+                alert('Registration cancelled: possible duplicate of an existing student.');
+                return;
+            }
+            showLoading('Registering face data...');
+            ({ response, result } = await sendRegistration({ duplicateOverrideReason: reason.trim() }));
+        }
+        
+        // Some captures failed the server's quality check: mark them so they can be retaken
+        if (response.status === 422 && result.imageFeedback) {
+            hideLoading();
+            showImageFeedback(result);
+            return;
+        }
         
         if (response.ok) {
             hideLoading();
@@ -0,0 +1,208 @@
+// Roll-call report page: per-class present/late/excused/absent lists for a date and session
+const statusIcons = {
+    present: 'fa-check-circle',
+    late: 'fa-clock',
+    excused: 'fa-envelope-open-text',
+    absent: 'fa-times-circle',
+    pending: 'fa-hourglass-half'
+};
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('Initializing roll-call report...');
+
+    const dateInput = document.getElementById('reportDate');
+    if (dateInput && !dateInput.value) {
+        const now = new Date();
+        dateInput.value = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    ['reportDate', 'reportClass', 'reportSession'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', loadRollCall);
+    });
+
+    await loadRollCall();
+});
+
+// Build the roll-call query string from the filter inputs
+function getRollCallQuery() {
+    const params = new URLSearchParams();
+    const date = document.getElementById('reportDate');
+    const studentClass = document.getElementById('reportClass');
+    const session = document.getElementById('reportSession');
+
+    if (date && date.value) params.set('date', date.value);
+    if (studentClass && studentClass.value) params.set('class', studentClass.value);
+    if (session && session.value) params.set('session', session.value);
+
+    return params;
+}
+
+// Load and render the roll call
+async function loadRollCall() {
+    const container = document.getElementById('rollCallContainer');
+    if (!container) return;
+
+    try {
+        const response = await apiFetch(`/api/reports/roll-call?${getRollCallQuery()}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.errors ? result.errors.join(' ') : result.message);
+        }
+
+        renderRollCall(container, result);
+    } catch (error) {
+        console.error('Error loading roll call:', error);
+        container.innerHTML = '';
+        container.appendChild(createReportElement('p', 'report-error', 'Could not load roll call: ' + error.message));
+    }
+}
+
+// Render sessions and classes as tables; names and excuse reasons are set as text, never as HTML
+function renderRollCall(container, rollCall) {
+    if (rollCall.sessions.length === 0) {
+        container.innerHTML = '<p class="report-empty">No attendance sessions are scheduled on this date.</p>';
+        return;
+    }
+
+    container.innerHTML = '';
+
+    rollCall.sessions.forEach(session => {
+        const section = createReportElement('div', 'report-session');
+
+        const header = createReportElement('div', 'report-session-header');
+        header.append(
+            createReportElement('h3', '', `${session.name} (${session.start} - ${session.end})`),
+            createReportElement('span', `report-state ${session.state}`, session.finalized ? 'Finalized' : session.state)
+        );
+        if (session.state === 'closed' && !session.finalized) {
+            const finalize = createReportElement('button', 'btn-secondary', 'Finalize');
+            finalize.addEventListener('click', () => finalizeRollCall(rollCall.date, session.id));
+            header.appendChild(finalize);
+        }
+
+        const counts = [
+            `Present ${session.counts.present}`,
+            `Late ${session.counts.late}`,
+            `Excused ${session.counts.excused}`,
+            `Absent ${session.counts.absent}`,
+            ...(session.counts.pending ? [`Not yet marked ${session.counts.pending}`] : [])
+        ];
+        section.append(header, createReportElement('p', 'report-counts', counts.join(' · ')));
+
+        session.classes.forEach(c => {
+            const table = createReportElement('table', 'report-table');
+            table.appendChild(createReportElement('caption', '', `Class ${c.class}`));
+            const body = document.createElement('tbody');
+
+            c.students.forEach(s => {
+                const row = createReportElement('tr', s.status);
+
+                const status = document.createElement('td');
+                status.append(createReportElement('i', `fas ${statusIcons[s.status] || 'fa-question'}`), ` ${s.status}`);
+
+                const action = document.createElement('td');
+                if (s.status === 'absent' || s.status === 'pending') {
+                    const excuse = createReportElement('button', 'btn-link', 'Excuse');
+                    excuse.addEventListener('click', () => excuseStudent(s.studentId, rollCall.date, session.id));
+                    action.appendChild(excuse);
+                }
+
+                row.append(
+                    createReportElement('td', '', s.studentId),
+                    createReportElement('td', '', s.name),
+                    status,
+                    createReportElement('td', '', [s.reason, s.lateSync ? 'Synced after roll call' : ''].filter(Boolean).join(' · ')),
+                    action
+                );
+                body.appendChild(row);
+            });
+
+            table.appendChild(body);
+            section.appendChild(table);
+        });
+
+        container.appendChild(section);
+    });
+}
+
+// Element with an optional class and text content
+function createReportElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+// Store absences for a closed session
+async function finalizeRollCall(date, session) {
+    if (!confirm('Finalize this session? Students without a scan will be stored as absent.')) return;
+
+    try {
+        const response = await apiFetch('/api/reports/roll-call/finalize', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ date, session })
+        });
+        const result = await response.json();
+
+        if (!response.ok) throw new Error(result.message);
+        await loadRollCall();
+    } catch (error) {
+        console.error('Error finalizing session:', error);
+        alert('Could not finalize session: ' + error.message);
+    }
+}
+
+// Excuse a student for a session
+async function excuseStudent(studentId, date, session) {
+    const reason = prompt(`Reason for excusing ${studentId}:`);
+    if (!reason) return;
+
+    try {
+        const response = await apiFetch('/api/reports/excuse', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ studentId, date, session, reason })
+        });
+        const result = await response.json();
+
+        if (!response.ok) throw new Error(result.errors ? result.errors.join(' ') : result.message);
+        await loadRollCall();
+    } catch (error) {
+        console.error('Error excusing student:', error);
+        alert('Could not excuse student: ' + error.message);
+    }
+}
+
+// Open the printable roll call in a new window
+async function printRollCall() {
+    try {
+        const params = getRollCallQuery();
+        params.set('format', 'html');
+
+        const response = await apiFetch(`/api/reports/roll-call?${params}`);
+        if (!response.ok) throw new Error('Could not load printable roll call');
+
+        const printWindow = window.open('', '_blank');
+        printWindow.document.write(await response.text());
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    } catch (error) {
+        console.error('Error printing roll call:', error);
+        alert(error.message);
+    }
+}
+
+// Export global functions
+window.loadRollCall = loadRollCall;
+window.finalizeRollCall = finalizeRollCall;
+window.excuseStudent = excuseStudent;
+window.printRollCall = printRollCall;
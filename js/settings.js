@@ -0,0 +1,257 @@
+// Admin settings page: school details, recognition threshold and session schedule
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+let currentSettings = null;
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('Initializing settings page...');
+
+    const form = document.getElementById('settingsForm');
+    if (form) form.addEventListener('submit', saveSettings);
+
+    const thresholdInput = document.getElementById('recognitionThreshold');
+    if (thresholdInput) thresholdInput.addEventListener('input', updateThresholdLabel);
+
+    await loadSettings();
+});
+
+// Load settings from the server and fill in the form
+async function loadSettings() {
+    try {
+        const response = await apiFetch('/api/settings');
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || 'Could not load settings');
+        }
+
+        currentSettings = result.settings;
+        populateForm();
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        showSettingsMessage('Could not load settings: ' + error.message, 'error');
+    }
+}
+
+// Fill in the form from currentSettings
+function populateForm() {
+    const form = document.getElementById('settingsForm');
+    if (!form || !currentSettings) return;
+
+    form.schoolName.value = currentSettings.schoolName || '';
+    form.academicYear.value = currentSettings.academicYear || '';
+    form.recognitionThreshold.value = currentSettings.recognitionThreshold;
+    updateThresholdLabel();
+    if (form.ambiguityMargin) form.ambiguityMargin.value = currentSettings.ambiguityMargin ?? 0.05;
+    if (form.templateAdaptationEnabled) form.templateAdaptationEnabled.checked = Boolean(currentSettings.templateAdaptation?.enabled);
+    if (form.enrollmentMinCaptures) form.enrollmentMinCaptures.value = currentSettings.enrollmentQuality?.minCaptures ?? 3;
+
+    renderTimetables();
+    renderWeekdays();
+    renderDateOverrides();
+}
+
+// Show the threshold value next to the slider
+function updateThresholdLabel() {
+    const input = document.getElementById('recognitionThreshold');
+    const label = document.getElementById('thresholdValue');
+    if (input && label) label.textContent = Number(input.value).toFixed(2);
+}
+
+// Render one editable row per session in each timetable
+function renderTimetables() {
+    const container = document.getElementById('timetableEditor');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    Object.entries(currentSettings.schedule.timetables).forEach(([timetable, sessions]) => {
+        const section = document.createElement('div');
+        section.className = 'timetable';
+        const heading = document.createElement('h4');
+        heading.textContent = timetable;
+        section.appendChild(heading);
+
+        sessions.forEach((session, index) => {
+            const row = document.createElement('div');
+            row.className = 'session-row';
+            row.dataset.timetable = timetable;
+            row.dataset.index = index;
+
+            const type = document.createElement('span');
+            type.className = 'session-type';
+            type.textContent = session.type;
+
+            row.append(
+                createSessionInput('text', 'session-name', session.name, 'Session name'),
+                type,
+                createSessionInput('time', 'session-start', session.start, 'Start time'),
+                createSessionInput('time', 'session-end', session.end, 'End time')
+            );
+            section.appendChild(row);
+        });
+
+        container.appendChild(section);
+    });
+}
+
+// One input of a session row
+function createSessionInput(type, className, value, label) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = className;
+    input.value = value || '';
+    input.setAttribute('aria-label', label);
+    return input;
+}
+
+// Render a timetable picker for each weekday
+function renderWeekdays() {
+    const container = document.getElementById('weekdayEditor');
+    if (!container) return;
+
+    const timetables = Object.keys(currentSettings.schedule.timetables);
+    container.innerHTML = '';
+
+    WEEKDAYS.forEach(day => {
+        const selected = currentSettings.schedule.weekdays[day] ?? '';
+        const row = document.createElement('label');
+        row.className = 'weekday-row';
+
+        const name = document.createElement('span');
+        name.textContent = day.charAt(0).toUpperCase() + day.slice(1);
+
+        const select = document.createElement('select');
+        select.dataset.weekday = day;
+        select.add(new Option('No school', ''));
+        timetables.forEach(t => select.add(new Option(t, t, t === selected, t === selected)));
+
+        row.append(name, select);
+        container.appendChild(row);
+    });
+}
+
+// Render the list of half-days and holidays
+function renderDateOverrides() {
+    const container = document.getElementById('dateOverrides');
+    if (!container) return;
+
+    const dates = Object.entries(currentSettings.schedule.dates || {}).sort(([a], [b]) => a.localeCompare(b));
+    container.innerHTML = '';
+
+    if (dates.length === 0) {
+        container.innerHTML = '<p class="empty">No half-days or holidays set.</p>';
+        return;
+    }
+
+    dates.forEach(([date, timetable]) => {
+        const row = document.createElement('div');
+        row.className = 'override-row';
+
+        const dateCell = document.createElement('span');
+        dateCell.textContent = date;
+        const timetableCell = document.createElement('span');
+        timetableCell.textContent = timetable || 'Holiday';
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn-link';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => removeDateOverride(date));
+
+        row.append(dateCell, timetableCell, remove);
+        container.appendChild(row);
+    });
+}
+
+// Add a half-day or holiday from the override inputs
+function addDateOverride() {
+    const dateInput = document.getElementById('overrideDate');
+    const timetableInput = document.getElementById('overrideTimetable');
+    if (!dateInput || !dateInput.value) return;
+
+    collectScheduleEdits();
+    currentSettings.schedule.dates = currentSettings.schedule.dates || {};
+    currentSettings.schedule.dates[dateInput.value] = timetableInput && timetableInput.value ? timetableInput.value : null;
+    dateInput.value = '';
+    renderDateOverrides();
+}
+
+function removeDateOverride(date) {
+    collectScheduleEdits();
+    delete currentSettings.schedule.dates[date];
+    renderDateOverrides();
+}
+
+// Copy the edited session rows and weekday choices back into currentSettings
+function collectScheduleEdits() {
+    document.querySelectorAll('.session-row').forEach(row => {
+        const session = currentSettings.schedule.timetables[row.dataset.timetable][row.dataset.index];
+        session.name = row.querySelector('.session-name').value.trim();
+        session.start = row.querySelector('.session-start').value;
+        session.end = row.querySelector('.session-end').value;
+    });
+
+    document.querySelectorAll('[data-weekday]').forEach(select => {
+        currentSettings.schedule.weekdays[select.dataset.weekday] = select.value || null;
+    });
+}
+
+// Save settings; the server applies them immediately
+async function saveSettings(event) {
+    event.preventDefault();
+
+    const form = event.currentTarget;
+    collectScheduleEdits();
+
+    const payload = {
+        schoolName: form.schoolName.value.trim(),
+        academicYear: form.academicYear.value.trim(),
+        recognitionThreshold: parseFloat(form.recognitionThreshold.value),
+        ...(form.ambiguityMargin ? { ambiguityMargin: parseFloat(form.ambiguityMargin.value) } : {}),
+        ...(form.templateAdaptationEnabled ? { templateAdaptation: { enabled: form.templateAdaptationEnabled.checked } } : {}),
+        ...(form.enrollmentMinCaptures ? { enrollmentQuality: { minCaptures: parseInt(form.enrollmentMinCaptures.value, 10) } } : {}),
+        schedule: currentSettings.schedule
+    };
+
+    try {
+        const response = await apiFetch('/api/settings', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            const details = result.errors ? result.errors.join(' ') : '';
+            throw new Error(`${result.message || 'Could not save settings'} ${details}`.trim());
+        }
+
+        currentSettings = result.settings;
+        populateForm();
+        showSettingsMessage(result.message, 'success');
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        showSettingsMessage(error.message, 'error');
+    }
+}
+
+// Show a status message above the form
+function showSettingsMessage(message, type) {
+    const messageEl = document.getElementById('settingsMessage');
+    if (!messageEl) {
+        alert(message);
+        return;
+    }
+
+    messageEl.textContent = message;
+    messageEl.className = `settings-message ${type}`;
+}
+
+// Export global functions
+window.addDateOverride = addDateOverride;
+window.removeDateOverride = removeDateOverride;
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark 1:N matching with the descriptor index against the old per-request loop
+ * over student records, using synthetic descriptors.
+ *
+ * Usage: node scripts/benchmark-index.js [--sizes 1000,10000,50000] [--queries 200] [--per-student 1]
+ *
+ * Queries are enrolled faces with a little noise (what a real scan of an enrolled student
+ * looks like) mixed with unknown faces, so both the match and the no-match paths are timed.
+ */
+
+const { DescriptorIndex, DESCRIPTOR_LENGTH } = require('../backend/utils/descriptorIndex');
+
+const THRESHOLD = 0.6;
+
+function parseArgs(argv) {
+  const args = { sizes: [1000, 10000, 50000], queries: 200, perStudent: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--sizes') args.sizes = argv[++i].split(',').map(Number);
+    else if (argv[i] === '--queries') args.queries = Number(argv[++i]);
+    else if (argv[i] === '--per-student') args.perStudent = Number(argv[++i]);
+  }
+  return args;
+}
+
+// Deterministic PRNG so runs are comparable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+// Face descriptors are roughly unit-length; distinct faces sit ~1.0 apart
+function randomDescriptor(random) {
+  const descriptor = Array.from({ length: DESCRIPTOR_LENGTH }, () => random() - 0.5);
+  const norm = Math.sqrt(descriptor.reduce((sum, v) => sum + v * v, 0));
+  return descriptor.map(v => v / norm);
+}
+
+function jitter(descriptor, random, amount) {
+  return descriptor.map(v => v + (random() - 0.5) * amount);
+}
+
+// The matching loop used before the index: every descriptor of every student, on every scan
+function linearBestMatch(input, students, threshold) {
+  let best = null;
+  for (const student of students) {
+    if (student.status !== 'active') continue;
+    for (const descriptor of student.faceData.descriptors) {
+      let sum = 0;
+      for (let i = 0; i < input.length; i++) {
+        const diff = input[i] - descriptor[i];
+        sum += diff * diff;
+      }
+      const distance = Math.sqrt(sum);
+      if (distance < threshold && (!best || distance < best.distance)) best = { student, distance };
+    }
+  }
+  return best;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, result };
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function benchmark(faces, { queries, perStudent }) {
+  const random = createRandom(faces);
+  const studentCount = Math.ceil(faces / perStudent);
+  const students = Array.from({ length: studentCount }, (_, n) => {
+    const base = randomDescriptor(random);
+    return {
+      id: `stu_${n}`,
+      studentId: `S${n}`,
+      status: 'active',
+      faceData: { descriptors: Array.from({ length: perStudent }, () => jitter(base, random, 0.05)) }
+    };
+  });
+
+  const queryList = Array.from({ length: queries }, (_, n) => {
+    const student = students[Math.floor(random() * students.length)];
+    return n % 4 === 3
+      ? { descriptor: randomDescriptor(random), expected: null }
+      : { descriptor: jitter(student.faceData.descriptors[0], random, 0.05), expected: student };
+  });
+
+  const index = new DescriptorIndex();
+  const build = time(() => index.build(students));
+
+  const indexTimes = [];
+  const linearTimes = [];
+  let mismatches = 0;
+
+  for (const { descriptor, expected } of queryList) {
+    const indexed = time(() => index.search(descriptor, { k: 1, maxDistance: THRESHOLD }));
+    const linear = time(() => linearBestMatch(descriptor, students, THRESHOLD));
+    indexTimes.push(indexed.ms);
+    linearTimes.push(linear.ms);
+
+    const found = indexed.result[0]?.student || null;
+    if (found !== (linear.result?.student || null) || found !== expected) mismatches++;
+  }
+
+  const batch = time(() => index.searchBatch(queryList.slice(0, 10).map(q => q.descriptor), { k: 1, maxDistance: THRESHOLD }));
+
+  return {
+    faces,
+    students: studentCount,
+    buildMs: build.ms,
+    matrixMb: index.getInfo().bytes / (1024 * 1024),
+    index: { p50: percentile(indexTimes, 0.5), p95: percentile(indexTimes, 0.95) },
+    linear: { p50: percentile(linearTimes, 0.5), p95: percentile(linearTimes, 0.95) },
+    batch10Ms: batch.ms,
+    mismatches
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log(`Node ${process.version}, ${args.queries} queries per size, ${args.perStudent} descriptor(s) per student\n`);
+  console.log('| Faces  | Build ms | Matrix MB | Index p50 / p95 ms | Old loop p50 / p95 ms | Batch of 10 ms | Wrong |');
+  console.log('|--------|----------|-----------|--------------------|-----------------------|----------------|-------|');
+
+  for (const faces of args.sizes) {
+    const r = benchmark(faces, args);
+    console.log(`| ${String(r.faces).padEnd(6)} | ${r.buildMs.toFixed(1).padStart(8)} | ${r.matrixMb.toFixed(1).padStart(9)} | ` +
+      `${`${r.index.p50.toFixed(2)} / ${r.index.p95.toFixed(2)}`.padStart(18)} | ` +
+      `${`${r.linear.p50.toFixed(2)} / ${r.linear.p95.toFixed(2)}`.padStart(21)} | ` +
+      `${r.batch10Ms.toFixed(2).padStart(14)} | ${String(r.mismatches).padStart(5)} |`);
+  }
+}
+
+main();
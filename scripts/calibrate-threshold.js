@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Recommend a recognition threshold from the school's enrolled faces.
+ *
+ * Usage: node scripts/calibrate-threshold.js [--target-far <rate>] [--apply] [--json]
+ *
+ * Genuine pairs are two descriptors of the same student and impostor pairs are descriptors
+ * of different students. The report shows both distance distributions, FAR/FRR at candidate
+ * thresholds and the equal-error-rate point. The recommendation is the EER threshold, or with
+ * --target-far the threshold with the lowest FRR whose FAR stays at or below that rate.
+ * --apply saves the recommendation as settings.recognitionThreshold.
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { database } = require('../backend/utils/database');
+const { calibrationUtils, DEFAULT_THRESHOLD } = require('../backend/utils/calibration');
+
+function parseArgs(argv) {
+  const args = { targetFar: null, apply: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--target-far') args.targetFar = Number(argv[++i]);
+    else if (argv[i] === '--apply') args.apply = true;
+    else if (argv[i] === '--json') args.json = true;
+  }
+  return args;
+}
+
+const percent = rate => `${(rate * 100).toFixed(2)}%`.padStart(7);
+
+function printReport(report) {
+  const { genuine, impostor } = report;
+  console.log(`👥 ${report.students} students, ${report.descriptors} descriptors` +
+    (report.impostorSampled ? ' (impostor pairs sampled)' : ''));
+  console.log('\nDistances   count    min     p5  median    p95    max');
+  for (const [label, s] of [['genuine', genuine], ['impostor', impostor]]) {
+    console.log(`${label.padEnd(9)} ${String(s.count).padStart(7)} ${[s.min, s.p5, s.median, s.p95, s.max].map(v => v.toFixed(3).padStart(6)).join(' ')}`);
+  }
+
+  console.log('\nDistance     genuine  impostor');
+  for (const bin of report.histogram) {
+    if (bin.genuine === 0 && bin.impostor === 0) continue;
+    console.log(`${bin.from.toFixed(2)}-${bin.to.toFixed(2)}  ${String(bin.genuine).padStart(8)}  ${String(bin.impostor).padStart(8)}`);
+  }
+
+  console.log('\nThreshold      FAR      FRR');
+  for (const row of report.thresholds) {
+    console.log(`${row.threshold.toFixed(2).padStart(9)}  ${percent(row.far)}  ${percent(row.frr)}`);
+  }
+
+  console.log(`\n⚖️  Equal error rate ${percent(report.eer.rate).trim()} at ${report.eer.threshold}`);
+  if (report.current) {
+    console.log(`📍 Current threshold ${report.current.threshold}: FAR ${percent(report.current.far).trim()}, FRR ${percent(report.current.frr).trim()}`);
+  }
+  const { recommended } = report;
+  console.log(`🎯 Recommended threshold ${recommended.threshold} (${recommended.basis}): FAR ${percent(recommended.far).trim()}, FRR ${percent(recommended.frr).trim()}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.targetFar !== null && !(args.targetFar >= 0 && args.targetFar <= 0.5)) {
+    console.error('Usage: node scripts/calibrate-threshold.js [--target-far <rate from 0 to 0.5>] [--apply] [--json]');
+    process.exit(1);
+  }
+
+  const outcome = await database.update(db => {
+    const result = calibrationUtils.thresholdReport(calibrationUtils.collectDistances(db.students), {
+      targetFar: args.targetFar,
+      currentThreshold: db.settings.recognitionThreshold ?? DEFAULT_THRESHOLD
+    });
+    if (result.success && args.apply) {
+      result.change = calibrationUtils.applyThreshold(db, { report: result.report, performedBy: 'calibrate-threshold' });
+    }
+    return result;
+  });
+  database.close();
+
+  if (!outcome.success) {
+    throw new Error(outcome.message);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(outcome.report, null, 2));
+  } else {
+    printReport(outcome.report);
+  }
+
+  if (outcome.change) {
+    console.log(`\n✅ Recognition threshold changed from ${outcome.change.from} to ${outcome.change.to}. The running server uses it on the next scan.`);
+  } else if (!args.json) {
+    console.log('\nRun again with --apply to save the recommended threshold.');
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Calibration failed:', error.message);
+  process.exit(1);
+});
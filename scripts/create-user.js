@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Create a login account (admin, teacher, kitchen or kiosk).
+ *
+ * Usage: node scripts/create-user.js --username <name> --role <role> [--name "Full Name"] [--password <password>]
+ * Without --password the password is prompted for on the terminal.
+ */
+
+const path = require('path');
+const readline = require('readline');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { database } = require('../backend/utils/database');
+const { createUser, validateUserData } = require('../backend/routes/auth');
+const { ROLES } = require('../backend/middleware/auth');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--username') args.username = argv[++i];
+    else if (argv[i] === '--role') args.role = argv[++i];
+    else if (argv[i] === '--name') args.name = argv[++i];
+    else if (argv[i] === '--password') args.password = argv[++i];
+  }
+  return args;
+}
+
+// Read a password from the terminal without echoing it
+function promptPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => {
+      if (text === question) rl.output.write(text);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.username || !args.role) {
+    console.log('Usage: node scripts/create-user.js --username <name> --role <role> [--name "Full Name"] [--password <password>]');
+    console.log(`Roles: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!args.password) {
+    args.password = await promptPassword('Password: ');
+    const confirm = await promptPassword('Confirm password: ');
+    if (args.password !== confirm) {
+      throw new Error('Passwords do not match');
+    }
+  }
+
+  const errors = validateUserData(args);
+  if (errors.length > 0) {
+    throw new Error(errors.join(' '));
+  }
+
+  const user = await createUser(args);
+  database.close();
+
+  if (!user) {
+    throw new Error(`Username "${args.username}" already exists`);
+  }
+
+  console.log(`✅ Created ${user.role} account: ${user.username}`);
+}
+
+main().catch(error => {
+  console.error('❌ Could not create user:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * One-shot migration of database.json into the SQLite storage backend.
+ *
+ * Usage: node scripts/migrate-to-sqlite.js [--from <database.json>] [--to <file.sqlite>] [--force]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const projectRoot = path.join(__dirname, '..');
+require('dotenv').config({ path: path.join(projectRoot, '.env') });
+
+const { DatabaseStore, JsonFileDriver } = require('../backend/utils/database');
+const { SqliteDriver } = require('../backend/utils/sqliteDriver');
+
+function parseArgs(argv) {
+  const args = { force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--force') args.force = true;
+    else if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+  }
+  return args;
+}
+
+// Give records that share an ID a unique one, and drop duplicate marks the unique indexes forbid
+function prepareDocument(data) {
+  const report = { renamedIds: 0, duplicateAttendance: 0, duplicateMeals: 0 };
+
+  for (const collection of ['students', 'attendance', 'meals']) {
+    const seen = new Set();
+    data[collection].forEach((record, index) => {
+      if (!record.id || seen.has(record.id)) {
+        record.id = `${record.id || collection}_${index}_${Math.random().toString(36).slice(2, 8)}`;
+        report.renamedIds++;
+      }
+      seen.add(record.id);
+    });
+  }
+
+  const attendanceKeys = new Set();
+  data.attendance = data.attendance.filter(record => {
+    const key = `${record.studentId}|${record.date}|${record.session}`;
+    if (attendanceKeys.has(key)) {
+      report.duplicateAttendance++;
+      return false;
+    }
+    attendanceKeys.add(key);
+    return true;
+  });
+
+  const mealKeys = new Set();
+  data.meals = data.meals.filter(record => {
+    const key = `${record.studentId}|${record.date}`;
+    if (mealKeys.has(key)) {
+      report.duplicateMeals++;
+      return false;
+    }
+    mealKeys.add(key);
+    return true;
+  });
+
+  return report;
+}
+
+async function migrate() {
+  const args = parseArgs(process.argv.slice(2));
+  const envPath = process.env.DB_PATH ? path.resolve(projectRoot, process.env.DB_PATH) : null;
+
+  const source = path.resolve(projectRoot, args.from || (envPath && envPath.endsWith('.json') ? envPath : 'backend/db/database.json'));
+  const target = path.resolve(projectRoot, args.to || (envPath && !envPath.endsWith('.json') ? envPath : 'backend/db/attendease.sqlite'));
+
+  console.log('🚚 Migrating database.json to SQLite...');
+  console.log(`   From: ${source}`);
+  console.log(`   To:   ${target}`);
+
+  if (!fs.existsSync(source)) {
+    throw new Error(`Source file not found: ${source}`);
+  }
+
+  if (fs.existsSync(target)) {
+    if (!args.force) {
+      throw new Error(`Target already exists: ${target} (use --force to replace it)`);
+    }
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${target}${suffix}`, { force: true });
+    }
+  }
+
+  const jsonStore = new DatabaseStore(new JsonFileDriver(source));
+  const data = await jsonStore.read();
+  const report = prepareDocument(data);
+
+  const sqlite = new SqliteDriver(target);
+  await sqlite.write(data);
+  sqlite.close();
+
+  // Read back through a fresh connection to confirm nothing was lost
+  const verify = new SqliteDriver(target);
+  const migrated = await verify.load();
+  verify.close();
+
+  const counts = {
+    students: [data.students.length, migrated.students.length],
+    descriptors: [
+      data.students.reduce((sum, s) => sum + (s.faceData?.descriptors?.length || 0), 0),
+      migrated.students.reduce((sum, s) => sum + (s.faceData?.descriptors?.length || 0), 0)
+    ],
+    attendance: [data.attendance.length, migrated.attendance.length],
+    meals: [data.meals.length, migrated.meals.length]
+  };
+
+  let ok = true;
+  for (const [name, [expected, actual]] of Object.entries(counts)) {
+    const mark = expected === actual ? '✅' : '❌';
+    if (expected !== actual) ok = false;
+    console.log(`${mark} ${name}: ${actual}/${expected}`);
+  }
+
+  if (report.renamedIds > 0) console.log(`⚠️  Reassigned ${report.renamedIds} duplicate record IDs`);
+  if (report.duplicateAttendance > 0) console.log(`⚠️  Skipped ${report.duplicateAttendance} duplicate attendance marks (same student, date and session)`);
+  if (report.duplicateMeals > 0) console.log(`⚠️  Skipped ${report.duplicateMeals} duplicate meal records (same student and date)`);
+
+  if (!ok) {
+    throw new Error('Row counts do not match after migration');
+  }
+
+  console.log('\n✅ Migration completed successfully!');
+  console.log('\n📋 Next steps: set these in .env and restart the server');
+  console.log('DB_DRIVER=sqlite');
+  console.log(`DB_PATH=${path.relative(projectRoot, target)}`);
+}
+
+migrate().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Install the face-api.js weights from a local archive and verify them against
+ * backend/models-manifest.json. Nothing is downloaded.
+ *
+ * Usage: node scripts/setup-models.js --archive <weights.tar.gz|weights.tar|directory> [--dest <dir>] [--pin]
+ *        node scripts/setup-models.js --verify [--dest <dir>]
+ *
+ * The face-api.js 0.22.2 weights are pinned in the manifest. --pin only records checksums for
+ * files listed without one (a net added later); only pin an archive whose origin you have
+ * checked. Files with a pinned checksum that does not match are always rejected.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { modelManifestUtils } = require('../backend/utils/modelManifest');
+
+const projectRoot = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+  const args = { pin: false, verify: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--archive') args.archive = argv[++i];
+    else if (argv[i] === '--dest') args.dest = argv[++i];
+    else if (argv[i] === '--pin') args.pin = true;
+    else if (argv[i] === '--verify') args.verify = true;
+  }
+  return args;
+}
+
+// Unpack a .tar/.tar.gz archive into a temporary directory (directories are used as-is)
+function unpack(archive) {
+  if (fs.statSync(archive).isDirectory()) return { dir: archive, cleanup: () => {} };
+
+  if (!/\.(tar|tar\.gz|tgz)$/i.test(archive)) {
+    throw new Error('Archive must be a .tar, .tar.gz or .tgz file, or a directory');
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendease-models-'));
+  execFileSync('tar', ['-xf', archive, '-C', dir]);
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+// Index every file in a directory tree by name (archives often nest weights in a folder)
+function indexFiles(dir, index = new Map()) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) indexFiles(fullPath, index);
+    else if (!index.has(entry.name)) index.set(entry.name, fullPath);
+  }
+  return index;
+}
+
+function printReport(report) {
+  console.log(`📁 ${report.directory}`);
+  for (const [net, status] of Object.entries(report.nets)) {
+    console.log(`  ${status.valid ? '✅' : '❌'} ${net}`);
+    for (const [file, fileStatus] of Object.entries(status.files)) {
+      if (fileStatus !== 'ok') console.log(`      ${file}: ${fileStatus}`);
+    }
+  }
+}
+
+function install(args, dest) {
+  const manifest = modelManifestUtils.load();
+  const { dir, cleanup } = unpack(path.resolve(args.archive));
+
+  try {
+    const files = indexFiles(dir);
+    const errors = [];
+    const toCopy = [];
+    let pinned = 0;
+
+    for (const [net, netFiles] of Object.entries(manifest.nets)) {
+      for (const [file, expected] of Object.entries(netFiles)) {
+        const source = files.get(file);
+        if (!source) {
+          errors.push(`${net}: ${file} is not in the archive`);
+          continue;
+        }
+
+        const result = modelManifestUtils.checkFile(source, expected);
+        if (result.status === 'checksum-mismatch') {
+          errors.push(`${net}: ${file} does not match its pinned checksum`);
+        } else if (result.status === 'unpinned' && !args.pin) {
+          errors.push(`${net}: ${file} has no pinned checksum (check the archive, then rerun with --pin)`);
+        } else {
+          if (result.status === 'unpinned') {
+            netFiles[file] = result.sha256;
+            pinned++;
+          }
+          toCopy.push({ source, file });
+        }
+      }
+    }
+
+    // All or nothing: a partial install would leave the server with mismatched nets
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`❌ ${error}`));
+      throw new Error('no files were installed');
+    }
+
+    fs.mkdirSync(dest, { recursive: true });
+    toCopy.forEach(({ source, file }) => fs.copyFileSync(source, path.join(dest, file)));
+    console.log(`📦 Installed ${toCopy.length} files into ${dest}`);
+
+    if (pinned > 0) {
+      modelManifestUtils.save(manifest);
+      console.log(`📌 Pinned ${pinned} checksums in ${path.relative(projectRoot, modelManifestUtils.manifestPath)}; commit it so other schools verify against the same weights.`);
+    }
+  } finally {
+    cleanup();
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dest = path.resolve(projectRoot, args.dest || process.env.MODEL_PATH || 'backend/models');
+
+  if (!args.archive && !args.verify) {
+    console.error('Usage: node scripts/setup-models.js --archive <weights.tar.gz|weights.tar|directory> [--dest <dir>] [--pin]');
+    console.error('       node scripts/setup-models.js --verify [--dest <dir>]');
+    process.exit(1);
+  }
+
+  try {
+    if (args.archive) install(args, dest);
+
+    const report = modelManifestUtils.checkDirectory(dest);
+    printReport(report);
+
+    if (!report.valid) {
+      console.error('\n❌ Models are missing or unverified.');
+      process.exit(1);
+    }
+    console.log('\n✅ All face recognition models are present and verified.');
+  } catch (error) {
+    console.error('❌ Model setup failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
@@ -31,6 +32,10 @@ if (!fs.existsSync(envPath)) {
 # Smart Attendance System Configuration
 NODE_ENV=development
 PORT=3000
+# 0.0.0.0 lets kiosks and tablets on the school network connect; 127.0.0.1 keeps it local
+HOST=0.0.0.0
+# Storage: json (default) or sqlite; run scripts/migrate-to-sqlite.js before switching
+DB_DRIVER=json
 DB_PATH=backend/db/database.json
 
 # Face Recognition Settings
@@ -38,10 +43,13 @@ RECOGNITION_THRESHOLD=0.6
 MODEL_PATH=backend/models
 
 # Security Settings
-JWT_SECRET=your-super-secret-jwt-key-change-in-production
+JWT_SECRET=${crypto.randomBytes(48).toString('hex')}
+JWT_EXPIRES_IN=12h
+KIOSK_JWT_EXPIRES_IN=7d
 BCRYPT_ROUNDS=12
 
 # Server Settings
+# Comma-separated origins of pages served from another host (not needed for pages served by this server)
 CORS_ORIGIN=http://localhost:3000
 REQUEST_LIMIT=10mb
 
@@ -113,5 +121,6 @@ temp/
 console.log('✅ Setup completed successfully!');
 console.log('\n📋 Next steps:');
 console.log('1. npm install');
-console.log('2. npm run setup:models');
-console.log('3. npm start');
+console.log('2. node scripts/setup-models.js --archive <face-api.js weights archive>');
+console.log('3. node scripts/create-user.js --username admin --role admin');
+console.log('4. npm start');